@@ -18,8 +18,11 @@ const eventTypeIdMap = {
   'onMouseLeave': 9
 };
 
-const eventNames = Object.keys(eventTypeIdMap);
-const eventNamesSet = new Set(eventNames);
+// DOM event names that aren't just the lowercased handler name without its `on` prefix
+const eventNameExceptions = {
+  'onDoubleClick': 'dblclick'
+};
+
 const styleAttributeNames = ['classList', 'style', 'class'];
 
 /*
@@ -49,15 +52,27 @@ function getAttributeNames(node) {
   let names = new Set();
 
   node.openingElement.attributes.forEach(attrNode => {
-    names.add(attrNode.name.name);
+    // spread attributes ({...props}) have no name
+    if (attrNode.type == 'JSXAttribute') {
+      names.add(attrNode.name.name);
+    }
   });
 
   return names;
 }
 
+function isEventAttributeName(name) {
+  return typeof name == 'string' && /^on[A-Z]/.test(name);
+}
+
+// the common event types are sent to the client as a numeric id, and any other as their DOM event name
+function getEventType(attributeName) {
+  return eventTypeIdMap[attributeName] || eventNameExceptions[attributeName] || attributeName.substring(2).toLowerCase();
+}
+
 function eventNameInAttributeNames(names) {
-  for (let i = 0; i < eventNames.length; i++) {
-    if (names.has(eventNames[i])) {
+  for (let name of names) {
+    if (isEventAttributeName(name)) {
       return true;
     }
   }
@@ -713,12 +728,16 @@ function parse$CDefinition(functionNode) {
 }
 
 function handleCreateBlockEventsExpression(contextBlock, targetId, node, process) {
-  eventNames.forEach(eventName => {
-    let eventAttribute = getAttribute(node, eventName);
+  node.openingElement.attributes.forEach(attrNode => {
+    if (attrNode.type != 'JSXAttribute') {
+      return;
+    }
 
-    if (eventAttribute) {
-      let fnExpression = eventAttribute.expression;
-      contextBlock.eventHandlers.push(createBlockEventHandlerEntryExpression(targetId, eventTypeIdMap[eventName], process(fnExpression)));
+    let attrName = attrNode.name.name;
+
+    if (isEventAttributeName(attrName) && attrNode.value) {
+      let fnExpression = attrNode.value.expression;
+      contextBlock.eventHandlers.push(createBlockEventHandlerEntryExpression(targetId, getEventType(attrName), process(fnExpression)));
     }
   });
 }
@@ -929,9 +948,15 @@ function handleCreateElementEffectsEntryExpression(contextBlock, targetId, node,
   // TODO: let's clean attribute handling up
   for (let i = 0; i < attributes.length; i++) {
     let attr = attributes[i];
+
+    // the element's attributes are compiled one by one into its template and effects
+    if (attr.type != 'JSXAttribute') {
+      throw new Error(`Spread attributes aren't supported on HTML elements (<${element.type}>) -- set each attribute on its own.`);
+    }
+
     let attrName = attr.name.name;
 
-    if (eventNamesSet.has(attrName)) {
+    if (isEventAttributeName(attrName)) {
       continue;
     }
 
@@ -1148,7 +1173,7 @@ function createBlockEventHandlerEntryExpression(targetId, type, fnExpression) {
           "name": "type"
         },
         "value": {
-          "type": "NumericLiteral",
+          "type": typeof type == 'number' ? "NumericLiteral" : "StringLiteral",
           "value": type
         }
       },
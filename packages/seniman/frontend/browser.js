@@ -8,14 +8,37 @@
   let windowId = '';
   let readOffset = 0;
 
+  // isHydrating is set when the page has been rendered on the server: the new window's command stream is rendered into
+  // detached fragments until the window has streamed its first frame (CMD_FIRST_FRAME), at which point the fragments
+  // adopt the server-rendered nodes. the window is created with the viewport size the page was rendered at, so its
+  // first frame matches the page -- the real one is reported once the nodes are adopted.
+  let bootConfig = _window.__SENIMAN__;
+  let isHydrating = false;
+  let ssrViewportSize = null;
+  let runtimeScript = _document.currentScript;
+
+  // the page token to present when connecting, and the path to connect to (set when not the default '/')
+  let pageToken = '';
+  let upgradePath = '';
+
+  if (bootConfig) {
+    ssrViewportSize = bootConfig.ssrViewportSize || null;
+    isHydrating = !!ssrViewportSize;
+    pageToken = bootConfig.pageToken || '';
+    upgradePath = bootConfig.upgradePath || '';
+  }
+
   let _addEventListener = (el, eventType, fn) => {
     el.addEventListener(eventType, fn);
   }
   let now = () => Date.now();
   let createBuffer = (size) => new Uint8Array(size);
 
+  // the connection notices are rendered by the window, so they don't exist until it has been created
   let setElementDisplay = (el, shouldDisplay) => {
-    el.style.display = shouldDisplay ? 'block' : 'none';
+    if (el) {
+      el.style.display = shouldDisplay ? 'block' : 'none';
+    }
   }
 
   let _socketSend = (buffer) => socket.send(buffer)
@@ -47,10 +70,19 @@
     };
   }
 
+  let debounce = (func, delay) => {
+    let timeoutId;
+
+    return (...args) => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => func.apply(null, args), delay);
+    };
+  }
+
   let viewportUpdateBuffer = createBuffer(5);
   let getWindowSize = () => [_window.innerWidth, _window.innerHeight];
 
-  _addEventListener(window, 'resize', throttleDebounce(() => {
+  let sendViewportSize = () => {
     let [width, height] = getWindowSize();
 
     writeUint8(viewportUpdateBuffer, 5, 0);
@@ -58,15 +90,43 @@
     writeUint16LE(viewportUpdateBuffer, height, 3);
 
     _socketSend(viewportUpdateBuffer);
-  }, 1000));
+  };
+
+  _addEventListener(window, 'resize', throttleDebounce(sendViewportSize, 1000));
+
+  // the runtime's history entries hold `{ key, state, scroll }`: the state object given to the server's `navigate`,
+  // and the scroll position the entry was left at. scroll positions are restored by the runtime rather than the browser,
+  // since the page of an entry only exists once the server has re-rendered it (see CMD_RESTORE_SCROLL).
+  let _history = _window.history;
+  let createHistoryKey = () => now().toString(36) + Math.random().toString(36).slice(2, 8);
+  let getScrollPosition = () => [_window.scrollX, _window.scrollY];
+
+  // history entry key -> last known scroll position, kept up to date since an entry can't be updated anymore once
+  // the browser has moved away from it
+  let scrollPositions = new Map();
+
+  // the scroll position to apply once the page is rendered: [x, y], or true for the top of the page (or the hash's element)
+  let pendingScroll = null;
+
+  _history.scrollRestoration = 'manual';
+
+  if (!(_history.state && _history.state.key)) {
+    _history.replaceState({ key: createHistoryKey(), state: null, scroll: null }, '');
+  }
+
+  let currentHistoryKey = _history.state.key;
+
+  _addEventListener(_window, 'scroll', () => {
+    scrollPositions.set(currentHistoryKey, getScrollPosition());
+  });
 
   {
     let lastMessageTime = 0;
     let requestReopen = false;
 
     let connectSocket = () => {
-      let [width, height] = getWindowSize();
-      socket = new WebSocket(`${_window.origin.replace('http', 'ws')}?wi=${windowId}&ro=${readOffset}&vs=${width}x${height}&lo=${encodeURIComponent(_location.pathname + _location.search)}`);
+      let [width, height] = isHydrating ? ssrViewportSize : getWindowSize();
+      socket = new WebSocket(`${_window.origin.replace('http', 'ws')}${upgradePath}?wi=${windowId}&ro=${readOffset}&vs=${width}x${height}&lo=${encodeURIComponent(_location.pathname + _location.search + _location.hash)}&pt=${pageToken}`);
       socket.binaryType = "arraybuffer";
 
       socket.onopen = (e) => {
@@ -81,6 +141,9 @@
       socket.onclose = (event) => {
         if (event.code == 3001) {
           _location.reload();
+        } else if (event.code == 3002) {
+          // refused by the server's rate limiter, which would only refuse an immediate reconnection again
+          stopConnection();
         } else {
           requestReopen = true;
         }
@@ -92,8 +155,6 @@
       };
     }
 
-    connectSocket();
-
     let showDisconnectionNotice = () => {
       shouldShowReconnectionNotice(false);
       setElementDisplay(_window.disconn, true);
@@ -110,9 +171,9 @@
     }
 
     let stopConnection = () => {
+      clearInterval(intv);
       deactivateSocket(socket);
       showDisconnectionNotice();
-      clearInterval(intv);
     }
 
     let lastIntervalTime = now();
@@ -162,8 +223,21 @@
       }
     }, 500);
 
-    // pingchecker
-    let intv = setIntervalFn();
+    let intv;
+
+    let startConnection = () => {
+      connectSocket();
+
+      // pingchecker
+      intv = setIntervalFn();
+    }
+
+    // server-rendered nodes can only be adopted once the whole document has been parsed
+    if (isHydrating && _document.readyState == 'loading') {
+      _addEventListener(_document, 'DOMContentLoaded', startConnection);
+    } else {
+      startConnection();
+    }
 
     _addEventListener(_document, "visibilitychange", () => {
       if (_document.visibilityState == 'visible') {
@@ -201,6 +275,10 @@
   let templateDefinitionMap = new Map();
   let clientFunctionsMap = new Map();
 
+  // client functions of the page's static bundle (if the server is set to serve one), installed by their key instead of their source
+  let staticClientFunctions = _window.__SENIMAN_FNS__ || {};
+  let getClientFunction = (id) => clientFunctionsMap.get(id);
+
   // TODO: have this somehow be given by the server -- 
   // the complete list is longer than this and we want this file to be as small as possible
   let selfClosingTagSet = new Set(['br', 'hr', 'img', 'input']);
@@ -224,14 +302,161 @@
   }
 
   let clickEventHandlerIdWeakMap = new WeakMap();
+  let pendingEventListeners = [];
 
   let _getBlockTargetElement = (blockId, targetId) => {
     let block = getBlock(blockId);
     return targetId == 255 ? block.rootEl : block.targetEls[targetId];
   }
 
-  function bareServerCallWithoutPreventDefault(e) {
-    this.serverFunctions[0]();
+  let getFilesMetadata = (files) => [...files].map(file => ({ name: file.name, size: file.size, type: file.type, lastModified: file.lastModified }));
+
+  // the values of a form's named fields -- the checked state of checkboxes, and the value of the checked radio button
+  let getFormValues = (form) => {
+    let values = {};
+
+    for (let el of form.elements) {
+      let { name, type } = el;
+
+      if (name && !el.disabled && type != 'submit' && type != 'button' && (type != 'radio' || el.checked)) {
+        values[name] = type == 'checkbox' ? el.checked : (type == 'file' ? getFilesMetadata(el.files) : el.value);
+      }
+    }
+
+    return values;
+  }
+
+  // the data of an event that's sent to a server function by default -- see src/v2/event_modifiers.js
+  let getEventPayload = (e) => {
+    let target = e.target;
+    let type = e.type;
+    let modifierKeys = { altKey: e.altKey, ctrlKey: e.ctrlKey, metaKey: e.metaKey, shiftKey: e.shiftKey };
+
+    if (type == 'input' || type == 'change') {
+      let inputType = target.type;
+
+      if (inputType == 'file') {
+        return { files: getFilesMetadata(target.files) };
+      }
+
+      return inputType == 'checkbox' || inputType == 'radio' ? { value: target.value, checked: target.checked } : { value: target.value };
+    } else if (type == 'submit') {
+      return getFormValues(target);
+    } else if (type == 'scroll') {
+      return { scrollTop: target.scrollTop, scrollLeft: target.scrollLeft };
+    } else if ('key' in e) {
+      return { key: e.key, code: e.code, repeat: e.repeat, ...modifierKeys };
+    } else if ('clientX' in e) {
+      return { clientX: e.clientX, clientY: e.clientY, button: e.button, ...('deltaY' in e ? { deltaX: e.deltaX, deltaY: e.deltaY } : {}), ...modifierKeys };
+    } else if (e.touches) {
+      return { touches: [...e.touches].map(touch => ({ clientX: touch.clientX, clientY: touch.clientY })) };
+    }
+  }
+
+  function callServerWithEventPayload(e) {
+    this.serverFunctions[0](getEventPayload(e));
+  }
+
+  // file uploads -- see src/v2/uploads.js for the protocol
+  let UPLOAD_CHUNK_COMMAND = 6;
+  let UPLOAD_CHUNK_SIZE = 65536;
+
+  // how much data can be waiting in the socket's buffer before the next chunk is read
+  let UPLOAD_BUFFER_LIMIT = UPLOAD_CHUNK_SIZE * 16;
+
+  // how many chunks of a file can be sent ahead of the ones the server has read
+  let UPLOAD_WINDOW_SIZE = 16;
+
+  let lastUploadId = 0;
+
+  // ids of the files that are still being sent
+  let activeUploadIds = new Set();
+
+  // file id -> number of its chunks the server has read
+  let uploadAcks = new Map();
+
+  let _sendFiles = async (uploads) => {
+    let uploadSocket = socket;
+
+    for (let [id, file] of uploads) {
+      let offset = 0;
+      let chunkCount = 0;
+
+      do {
+        while (activeUploadIds.has(id) && uploadSocket == socket &&
+          (uploadSocket.bufferedAmount > UPLOAD_BUFFER_LIMIT || chunkCount - (uploadAcks.get(id) || 0) >= UPLOAD_WINDOW_SIZE)) {
+          await new Promise(resolve => setTimeout(resolve, 20));
+        }
+
+        // the rest of the file can't be sent over a new connection
+        if (!activeUploadIds.has(id) || uploadSocket != socket || uploadSocket.readyState != 1) {
+          break;
+        }
+
+        let bytes = new Uint8Array(await file.slice(offset, offset + UPLOAD_CHUNK_SIZE).arrayBuffer());
+        let buf = createBuffer(6 + bytes.length);
+
+        offset += bytes.length;
+        chunkCount++;
+
+        writeUint8(buf, UPLOAD_CHUNK_COMMAND, 0);
+        writeUInt32LE(buf, id, 1);
+        writeUint8(buf, offset >= file.size ? 1 : 0, 5);
+        buf.set(bytes, 6);
+
+        _socketSend(buf);
+      } while (offset < file.size);
+
+      activeUploadIds.delete(id);
+      uploadAcks.delete(id);
+    }
+  }
+
+  function uploadFiles(e) {
+    let uploads = [...e.target.files].map(file => [++lastUploadId, file]);
+
+    uploads.forEach(([id]) => activeUploadIds.add(id));
+
+    this.serverFunctions[0]({ files: uploads.map(([id, file]) => ({ id, name: file.name, size: file.size, type: file.type, lastModified: file.lastModified })) });
+    _sendFiles(uploads);
+  }
+
+  let builtInClientFunctions = {
+    1: callServerWithEventPayload,
+    2: uploadFiles
+  };
+
+  let MODIFIER_PREVENT_DEFAULT = 1;
+  let MODIFIER_STOP_PROPAGATION = 2;
+  let MODIFIER_ONCE = 4;
+  let MODIFIER_DEBOUNCE = 8;
+  let MODIFIER_THROTTLE = 16;
+
+  let _applyEventModifiers = (fn, modifiers, delay) => {
+    let called = false;
+
+    // the event is handled synchronously up to here, so the default action can still be prevented
+    let delayedFn = modifiers & MODIFIER_DEBOUNCE ? debounce(fn, delay) : (modifiers & MODIFIER_THROTTLE ? throttleDebounce(fn, delay) : fn);
+
+    return (e) => {
+      if (modifiers & MODIFIER_ONCE) {
+        if (called) {
+          return;
+        }
+
+        called = true;
+      }
+
+      if (modifiers & MODIFIER_PREVENT_DEFAULT) {
+        e.preventDefault();
+      }
+
+      if (modifiers & MODIFIER_STOP_PROPAGATION) {
+        e.stopPropagation();
+      }
+
+      delayedFn(e);
+    };
   }
 
   let EventMap = {
@@ -248,7 +473,8 @@
   let _attachEventHandlerV2 = () => {
     let blockId = getUint16(); //buf.writeUint16LE(parentBlockId, 1);
     let targetId = getUint8();
-    let eventType = getUint8(); // 1: click, 2: focus, 3: blur, 4: input, 5: scroll
+    let eventType = getUint8(); // 1: click, 2: focus, 3: blur, 4: input, 5: scroll, ... -- 0: followed by the event name
+    let eventName = eventType ? EventMap[eventType] : getString(getUint8());
     let targetHandlerElement = _getBlockTargetElement(blockId, targetId);
     /*
 
@@ -263,14 +489,14 @@
     onClick={someServerFunction}
 
     // under the hood, this is translated during runtime to:
-    { clientFn: 1, serverFunctions: [someServerFunction] }  // 1 is a native client function that calls e.preventDefault()
+    { clientFn: 1, serverFunctions: [someServerFunction] }  // 1 is a native client function that sends the event's default payload
 
-    2) Server-side function assignment that does not require e.preventDefault()
+    2) Server-side function with modifiers
 
-    onClick={ev(NO_PREVENT_DEFAULT, someServerHandler)} // NO_PREVENT_DEFAULT is a constant for a native client function that does not call e.preventDefault()
+    onClick={withModifiers(someServerHandler, { preventDefault: true })}
 
     // under the hood, this is translated during runtime to:
-    { clientFn: 2, serverFunctions: [someServerFunction] }  // 2 is a native client function that does not call e.preventDefault()
+    { clientFn: 1, serverFunctions: [someServerFunction], modifiers: PREVENT_DEFAULT }  // the modifiers wrap the client function
 
     3) inline custom function with a server-side function dependency
     
@@ -287,7 +513,9 @@
     */
 
     let clientFnId = getUint16(); //buf.writeUint16LE(parentBlockId, 1);
-    let fn = clientFnId == 1 ? bareServerCallWithoutPreventDefault : clientFunctionsMap.get(clientFnId);
+    let fn = builtInClientFunctions[clientFnId] || getClientFunction(clientFnId);
+    let modifiers = getUint8();
+    let delay = modifiers & (MODIFIER_DEBOUNCE | MODIFIER_THROTTLE) ? getUint16() : 0;
 
     let serverFunctions = [];
     let bindId;
@@ -304,12 +532,19 @@
       fn = fn.bind({ serverFunctions });
     }
 
+    if (modifiers) {
+      fn = _applyEventModifiers(fn, modifiers, delay);
+    }
+
     if (eventType == 1) {
       clickEventHandlerIdWeakMap.set(targetHandlerElement, fn);
     } else {
-      let eventName = EventMap[eventType];
-
-      _addEventListener(targetHandlerElement, eventName, fn);
+      // listeners can't be moved over to the adopted nodes, so hold them until hydration is done
+      if (isHydrating) {
+        pendingEventListeners.push([targetHandlerElement, eventName, fn]);
+      } else {
+        _addEventListener(targetHandlerElement, eventName, fn);
+      }
     }
   }
 
@@ -363,27 +598,78 @@
   }
   */
 
-  let _sendEvent = (handlerId, data) => {
-    let dataLength;
+  // event payload tags -- see src/v2/event_payload.js for the encoding
+  let PAYLOAD_NONE = 0;
+  let PAYLOAD_NUMBER = 1;
+  let PAYLOAD_STRING = 2;
+  let PAYLOAD_TRUE = 3;
+  let PAYLOAD_FALSE = 4;
+  let PAYLOAD_NULL = 5;
+  let PAYLOAD_OBJECT = 6;
+  let PAYLOAD_JSON = 7;
+
+  let _createLengthPrefixedPart = (tag, bytes, parts) => {
+    let header = createBuffer(5);
+
+    writeUint8(header, tag, 0);
+    writeUInt32LE(header, bytes.length, 1);
+    parts.push(header, bytes);
+  }
 
-    if (data) {
-      data = JSON.stringify(data);
-      dataLength = data.length;
+  let _encodePrimitive = (value, parts) => {
+    let type = typeof value;
+
+    if (type == 'number') {
+      let buf = createBuffer(9);
+
+      buf[0] = PAYLOAD_NUMBER;
+      new DataView(buf.buffer).setFloat64(1, value, true);
+      parts.push(buf);
+    } else if (type == 'string') {
+      _createLengthPrefixedPart(PAYLOAD_STRING, encoder.encode(value), parts);
+    } else if (type == 'boolean') {
+      parts.push([value ? PAYLOAD_TRUE : PAYLOAD_FALSE]);
+    } else if (value === null) {
+      parts.push([PAYLOAD_NULL]);
     } else {
-      dataLength = 0;
+      return false;
     }
 
-    let buf = createBuffer(5 + dataLength);
-    let EVENT_COMMAND = 1;
+    return true;
+  }
+
+  let _sendEvent = (handlerId, data) => {
+    let parts = [[1, handlerId & 0xff, handlerId >>> 8]]; // EVENT_COMMAND, u16 handlerId
+
+    if (data === undefined) {
+      parts.push([PAYLOAD_NONE]);
+    } else if (!_encodePrimitive(data, parts)) {
+      let objectParts = [];
+      let keys = data.constructor == Object && Object.keys(data);
 
-    writeUint8(buf, EVENT_COMMAND, 0);
-    writeUint16LE(buf, handlerId, 1);
-    writeUint16LE(buf, dataLength, 3);
+      // flat objects of primitives are encoded directly, anything else falls back to JSON
+      let isFlatObject = keys && keys.length < 256 && keys.every(key => {
+        let keyBytes = encoder.encode(key);
+        objectParts.push([keyBytes.length], keyBytes);
 
-    if (dataLength) {
-      writeString(buf, data, 5);
+        return keyBytes.length < 256 && _encodePrimitive(data[key], objectParts);
+      });
+
+      if (isFlatObject) {
+        parts.push([PAYLOAD_OBJECT, keys.length], ...objectParts);
+      } else {
+        _createLengthPrefixedPart(PAYLOAD_JSON, encoder.encode(JSON.stringify(data)), parts);
+      }
     }
 
+    let buf = createBuffer(parts.reduce((length, part) => length + part.length, 0));
+    let offset = 0;
+
+    parts.forEach(part => {
+      buf.set(part, offset);
+      offset += part.length;
+    });
+
     _socketSend(buf);
   }
 
@@ -621,59 +907,57 @@
     })
   }
 
+  // reads the template's element references, and returns the function that resolves them for a new instance of the template.
+  // the references are walked rather than compiled into a function, which pages under a Content Security Policy can't eval.
   let _compileFn2 = (templateId) => {
-    let fnString = "";
+    let FIRST_CHILD = 1;
+    let refs = [];
+    let anchorDefs = [];
+    let targetIds = [];
     let refElementsCount = getUint8();
-    //offset++;
 
     for (let i = 0; i < refElementsCount; i++) {
       let rel = getUint8();
       let relRefId = getUint8();
 
-      let FIRST_CHILD = 1;
-
-      // root has no number associated in the variable name (let _) vs (let _1)
-      let refElName = relRefId < 255 ? relRefId : '';
-      let referenceType = rel == FIRST_CHILD ? 'firstChild' : 'nextSibling';
-
-      fnString += `let _${i}=_${refElName}.${referenceType};`;
+      refs.push([rel == FIRST_CHILD, relRefId]);
     }
 
-    // offset += 2 * refElementsCount;
-
     let anchorCount = getUint8();
-    //offset++;
-
-    fnString += 'return [[';
 
-    let str = [];
-
-    for (i = 0; i < anchorCount; i++) {
-      let elId = getUint8();// elScript.anchors[i].el;
-      let beforeElId = getUint8();
+    for (let i = 0; i < anchorCount; i++) {
+      let elId = getUint8();
 
       // in beforeEl context, 255 means undefined -- ie. no beforeEl applicable. 
       // 255 that is usually used to refer to rootElement can be reused here since 
       // there is no situation in which rootElement is an anchor's beforeElement.
-      let beforeElStr = beforeElId == 255 ? '' : `,marker:_${beforeElId}`;
-      str.push(`{el:_${(elId < 255 ? elId : '') + beforeElStr}}`);
-    }
+      let beforeElId = getUint8();
 
-    fnString += str.join(',') + '],[';
+      anchorDefs.push([elId, beforeElId]);
+    }
 
-    //offset += 2 * anchorCount;
     let targetElementCount = getUint8();
-    //offset++;
 
-    str = [];
-    for (i = 0; i < targetElementCount; i++) {
-      str.push(`_${getUint8()}`);
+    for (let i = 0; i < targetElementCount; i++) {
+      targetIds.push(getUint8());
     }
-    fnString += str.join(',') + ']];';
 
-    //console.log('fnString', templateId, fnString);
+    return (rootEl) => {
+      let els = [];
 
-    return new Function("_", fnString);
+      // 255 refers to the root element
+      let getEl = (id) => id < 255 ? els[id] : rootEl;
+
+      refs.forEach(([isFirstChild, relRefId]) => {
+        let relEl = getEl(relRefId);
+        els.push(isFirstChild ? relEl.firstChild : relEl.nextSibling);
+      });
+
+      return [
+        anchorDefs.map(([elId, beforeElId]) => ({ el: getEl(elId), marker: beforeElId < 255 ? els[beforeElId] : undefined })),
+        targetIds.map(id => els[id])
+      ];
+    };
   }
 
 
@@ -719,6 +1003,35 @@
     anchor.nodes = value;
   };
 
+  // inserts the node at the index of the anchor's nodes -- after the anchor's last node if the index is at the end
+  let _insertAtAnchor = (anchor, index, node) => {
+    let nodes = anchor.nodes;
+    let referenceNode = index < nodes.length ? nodes[index] : (nodes.length ? nodes[nodes.length - 1].nextSibling : anchor.marker);
+
+    anchor.el.insertBefore(node, referenceNode);
+    nodes.splice(index, 0, node);
+  }
+
+  // applies the insert / move / remove operations of a keyed list to the anchor's nodes
+  let _updateList = () => {
+    let block = getBlock(getUint16());
+    let anchor = block.anchors[getUint8()];
+    let op;
+
+    while (op = getUint8()) {
+      let index = getUint16();
+
+      if (op == LIST_OP_INSERT) {
+        _insertAtAnchor(anchor, index, getBlock(getUint16()).rootEl);
+      } else if (op == LIST_OP_MOVE) {
+        let node = anchor.nodes.splice(index, 1)[0];
+        _insertAtAnchor(anchor, getUint16(), node);
+      } else if (op == LIST_OP_REMOVE) {
+        anchor.nodes.splice(index, 1)[0].remove();
+      }
+    }
+  }
+
   let _attachAtAnchorV2 = () => {
     let block = getBlock(getUint16());
     let anchor = block.anchors[getUint8()];
@@ -743,7 +1056,8 @@
         //console.log('attaching  block datum', datum);
         elements.push(getBlock(value).rootEl);
       } else {
-        let text = getString(value);// textDecoder.decode(buffer.slice(6, 6 + textLength));  
+        // long texts are streamed beforehand through CMD_TEXT_CHUNK
+        let text = value == CHUNKED_TEXT_MARKER ? chunkedTexts.shift() : getString(value);// textDecoder.decode(buffer.slice(6, 6 + textLength));  
         elements.push(_document.createTextNode(text)); // datum is the text
       }
     }
@@ -773,6 +1087,23 @@
   let CMD_INSTALL_CLIENT_FUNCTION = 10;
   let CMD_RUN_CLIENT_FUNCTION = 11;
   let CMD_APPEND_TOKENLIST = 12;
+  let CMD_TEXT_CHUNK = 13;
+  let CMD_UPDATE_LIST = 14;
+  let CMD_COOKIE_HANDSHAKE = 15;
+  let CMD_ABORT_UPLOAD = 16;
+  let CMD_RESTORE_SCROLL = 17;
+  let CMD_ACK_UPLOAD = 18;
+  let CMD_FIRST_FRAME = 19;
+
+  let LIST_OP_INSERT = 1;
+  let LIST_OP_MOVE = 2;
+  let LIST_OP_REMOVE = 3;
+
+  let CHUNKED_TEXT_MARKER = 0x7FFF;
+
+  // chunks of the text currently being streamed, and the completed texts waiting to be attached
+  let textChunks = [];
+  let chunkedTexts = [];
 
   // fill out the 0-index to make it easier for templating to do 1-indexing
   let GlobalTokenList = [''];
@@ -781,9 +1112,25 @@
     [CMD_INIT_WINDOW]: () => {
       windowId = getString(21);
 
+      // a window re-initialized under the same id (i.e. rehydrated from hibernation) streams its commands from the start:
+      // clear what the previous window has rendered and installed.
+      if (_blocksMap.size) {
+        _attach(getBlock(1).anchors[0], []);
+        _attach(getBlock(2).anchors[0], []);
+
+        _blocksMap.clear();
+        templateDefinitionMap.clear();
+        clientFunctionsMap.clear();
+        GlobalTokenList.length = 1;
+      }
+
+      // INIT_WINDOW is always the first command of a window's stream
+      readOffset = 0;
+
       // head = 1, body = 2
-      _blocksMap.set(1, initializeRootBlockWithElement(head));
-      _blocksMap.set(2, initializeRootBlockWithElement(_document.body));
+      // when hydrating, render into fragments first, which later adopt the server-rendered nodes
+      _blocksMap.set(1, initializeRootBlockWithElement(isHydrating ? _document.createDocumentFragment() : head));
+      _blocksMap.set(2, initializeRootBlockWithElement(isHydrating ? _document.createDocumentFragment() : _document.body));
     },
     [CMD_INIT_BLOCK]: _initBlock,
     [CMD_INSTALL_TEMPLATE]: _installTemplate2,
@@ -791,21 +1138,72 @@
     //[CMD_ATTACH_EVENT]: _attachEventHandler,
     [CMD_ATTACH_EVENT_V2]: _attachEventHandlerV2,
     [CMD_NAV]: () => {
-      let pathLength = getUint16();
-      let path = getString(pathLength);// textDecoder.decode(buffer.slice(1 + 2, 1 + 2 + pathLength));//.toString('utf8');
+      let NAV_REPLACE = 1;
+      let flags = getUint8();
+      let path = getString(getUint16());
+      let stateLength = getUint32();
+      let state = stateLength ? JSON.parse(getString(stateLength)) : null;
+
+      if (flags & NAV_REPLACE) {
+        _history.replaceState({ key: currentHistoryKey, state, scroll: null }, '', path);
+      } else {
+        // also keep the position in the entry itself, which outlives scrollPositions when the page is reloaded
+        _history.replaceState({ ..._history.state, scroll: getScrollPosition() }, '');
+
+        currentHistoryKey = createHistoryKey();
+        _history.pushState({ key: currentHistoryKey, state, scroll: null }, '', path);
 
-      _window.history.pushState({}, '', path);
+        pendingScroll = true;
+      }
+    },
+    [CMD_RESTORE_SCROLL]: () => {
+      if (pendingScroll === true) {
+        let hash = _location.hash;
+        let target = hash && _document.getElementById(decodeURIComponent(hash.slice(1)));
+
+        if (target) {
+          target.scrollIntoView();
+        } else {
+          _window.scrollTo(0, 0);
+        }
+      } else if (pendingScroll) {
+        _window.scrollTo(pendingScroll[0], pendingScroll[1]);
+      }
+
+      pendingScroll = null;
     },
     [CMD_ELEMENT_UPDATE]: _elementUpdate,
     [CMD_COOKIE_SET]: () => {
       let key = getString(getUint8());
       let value = getString(getUint16());
-      let expiration = getUint32();
+      let attributes = getString(getUint16());
 
       // console.log('cookie set', key, value);
 
       _document.cookie = key + '=;Max-Age=0';
-      _document.cookie = key + "=" + value + ";Path=/;";
+      _document.cookie = key + "=" + value + "; " + attributes;
+    },
+    [CMD_ABORT_UPLOAD]: () => {
+      activeUploadIds.delete(getUint32());
+    },
+    [CMD_FIRST_FRAME]: () => {
+      if (isHydrating) {
+        _hydrate();
+      }
+    },
+    [CMD_ACK_UPLOAD]: () => {
+      let id = getUint32();
+      let chunkCount = getUint32();
+
+      if (activeUploadIds.has(id)) {
+        uploadAcks.set(id, chunkCount);
+      }
+    },
+    [CMD_COOKIE_HANDSHAKE]: () => {
+      let token = getString(getUint8());
+
+      // HttpOnly cookies can only come from an HTTP response -- redeem the token for one
+      fetch('/__seniman/cookie?wi=' + windowId + '&t=' + token, { method: 'POST', credentials: 'same-origin' });
     },
     [CMD_REMOVE_BLOCKS]: () => {
       let blockId;
@@ -820,8 +1218,19 @@
       let functionJsonStringLength = getUint16();
       let clientFunction = JSON.parse(getString(functionJsonStringLength));
 
-      // create a dynamic function using the function body and the dynamic argument names
-      let fn = new Function(clientFunction.argNames, clientFunction.body);
+      let fn;
+
+      if (clientFunction.key) {
+        // functions of the page's static bundle are never created from source
+        fn = staticClientFunctions[clientFunction.key];
+
+        if (!fn) {
+          throw new Error('Client function ' + clientFunction.key + ' is missing from the static client function bundle.');
+        }
+      } else {
+        // create a dynamic function using the function body and the dynamic argument names
+        fn = new Function(clientFunction.argNames, clientFunction.body);
+      }
 
       clientFunctionsMap.set(clientFunctionId, fn);
     },
@@ -848,7 +1257,7 @@
         thisContext = { serverFunctions };
       }
 
-      clientFunctionsMap.get(clientFunctionId).apply(thisContext, argsList);
+      getClientFunction(clientFunctionId).apply(thisContext, argsList);
     },
     [CMD_APPEND_TOKENLIST]: () => {
       let length;
@@ -856,7 +1265,123 @@
       while (length = getUint8()) {
         GlobalTokenList.push(getString(length));
       }
+    },
+    [CMD_UPDATE_LIST]: _updateList,
+    [CMD_TEXT_CHUNK]: () => {
+      let isLast = getUint8();
+      let length = getUint16();
+
+      // keep the raw bytes, since a chunk might end in the middle of a multi-byte character
+      textChunks.push(new Uint8Array(buffer.slice(processOffset, processOffset += length)));
+
+      if (isLast) {
+        let bytes = createBuffer(textChunks.reduce((total, chunk) => total + chunk.length, 0));
+        let offset = 0;
+
+        textChunks.forEach(chunk => {
+          bytes.set(chunk, offset);
+          offset += chunk.length;
+        });
+
+        chunkedTexts.push(textDecoder.decode(bytes));
+        textChunks = [];
+      }
+    }
+  }
+
+  // walks the fragment's nodes alongside the server-rendered nodes, mapping each fragment node to its server-rendered twin.
+  // adjacent texts are merged and empty texts are dropped by the HTML parser, so the server-rendered texts are split back
+  // to match the fragment's.
+  let _adoptChildNodes = (fragmentParent, parent, node, nodeMap) => {
+    fragmentParent.childNodes.forEach(fragmentNode => {
+      if (fragmentNode.nodeType == 3 && !fragmentNode.length) {
+        let textNode = _document.createTextNode('');
+        parent.insertBefore(textNode, node);
+        nodeMap.set(fragmentNode, textNode);
+        return;
+      }
+
+      if (!node || node.nodeName != fragmentNode.nodeName) {
+        throw 0;
+      }
+
+      if (fragmentNode.nodeType == 3) {
+        if (node.length > fragmentNode.length) {
+          node.splitText(fragmentNode.length);
+        }
+
+        if (node.data != fragmentNode.data) {
+          throw 0;
+        }
+      } else if (fragmentNode.nodeName != 'TEXTAREA') {
+        _adoptChildNodes(fragmentNode, node, node.firstChild, nodeMap);
+      }
+
+      nodeMap.set(fragmentNode, node);
+      node = node.nextSibling;
+    });
+
+    // whitespace the page's template has after its markers
+    while (node && node.nodeType == 3 && !node.data.trim()) {
+      node = node.nextSibling;
+    }
+
+    if (node) {
+      throw 0;
+    }
+  }
+
+  let _hydrate = () => {
+    let headFragment = getBlock(1).rootEl;
+    let bodyFragment = getBlock(2).rootEl;
+    let body = _document.body;
+    let nodeMap = new Map([[headFragment, head], [bodyFragment, body]]);
+
+    isHydrating = false;
+
+    try {
+      _adoptChildNodes(headFragment, head, runtimeScript.nextSibling, nodeMap);
+      _adoptChildNodes(bodyFragment, body, body.firstChild, nodeMap);
+    } catch (e) {
+      // the server-rendered nodes don't match what we've rendered; replace them with the fragments' content instead
+      nodeMap = new Map([[headFragment, head], [bodyFragment, body]]);
+
+      while (runtimeScript.nextSibling) {
+        runtimeScript.nextSibling.remove();
+      }
+
+      head.appendChild(headFragment);
+      body.replaceChildren(bodyFragment);
     }
+
+    let adopt = (node) => nodeMap.get(node) || node;
+
+    nodeMap.forEach((node, fragmentNode) => {
+      let handlerFn = clickEventHandlerIdWeakMap.get(fragmentNode);
+
+      if (handlerFn) {
+        clickEventHandlerIdWeakMap.set(node, handlerFn);
+      }
+    });
+
+    _blocksMap.forEach(block => {
+      block.rootEl = adopt(block.rootEl);
+      block.targetEls = block.targetEls.map(adopt);
+
+      block.anchors.forEach(anchor => {
+        anchor.el = adopt(anchor.el);
+        anchor.marker = anchor.marker && adopt(anchor.marker);
+        anchor.nodes = anchor.nodes.map(adopt);
+      });
+    });
+
+    pendingEventListeners.forEach(([el, eventName, fn]) => {
+      _addEventListener(adopt(el), eventName, fn);
+    });
+
+    pendingEventListeners = [];
+
+    sendViewportSize();
   }
 
   let pongBuffer = createBuffer(5);
@@ -898,15 +1423,32 @@
     }
   }
 
-  _window.onpopstate = () => {
+  // [u8 opcode][u16 path length][path, including the query string and hash][u32 state length][state JSON]
+  _window.onpopstate = (e) => {
     let BACKNAV_COMMAND = 3;
-    let pathname = _location.pathname;
-    let pathnameLength = pathname.length;
-    let buf = createBuffer(3 + pathnameLength);
+    let entry = e.state;
+
+    if (entry && entry.key) {
+      pendingScroll = scrollPositions.get(entry.key) || entry.scroll || true;
+    } else {
+      // a new entry the runtime didn't create, i.e. from following an in-page `#hash` link, which the browser has
+      // already scrolled to
+      entry = { key: createHistoryKey(), state: null, scroll: null };
+      _history.replaceState(entry, '');
+      pendingScroll = null;
+    }
+
+    currentHistoryKey = entry.key;
+
+    let pathBytes = encoder.encode(_location.pathname + _location.search + _location.hash);
+    let stateBytes = encoder.encode(entry.state == null ? '' : JSON.stringify(entry.state));
+    let buf = createBuffer(3 + pathBytes.length + 4 + stateBytes.length);
 
     writeUint8(buf, BACKNAV_COMMAND, 0);
-    writeUint16LE(buf, pathnameLength, 1);
-    writeString(buf, pathname, 3);
+    writeUint16LE(buf, pathBytes.length, 1);
+    buf.set(pathBytes, 3);
+    writeUInt32LE(buf, stateBytes.length, 3 + pathBytes.length);
+    buf.set(stateBytes, 3 + pathBytes.length + 4);
 
     _socketSend(buf);
   }
@@ -933,7 +1475,7 @@
 
       if (handlerFn) {
         handlerFn(e);
-        if (e.defaultPrevented) {
+        if (e.defaultPrevented || e.cancelBubble) {
           return;
         }
       }
@@ -962,17 +1504,6 @@
 
   let encoder = new TextEncoder();
 
-  let blitBuffer = (src, dst, offset, length) => {
-    for (let i = 0; i < length; ++i) {
-      if ((i + offset >= dst.length) || (i >= src.length)) break
-      dst[i + offset] = src[i]
-    }
-  }
-
-  let writeString = (buf, string, offset) => {
-    blitBuffer(encoder.encode(string), buf, offset, string.length);
-  }
-
   window.loadStyle = (url) => {
     // Create new link Element
     var link = _document.createElement('link');
@@ -1,7 +1,10 @@
 import fs from 'fs';
+import path from 'path';
+import babel from '@babel/core';
 import { execa } from 'execa';
 import uglifyjs from 'uglify-js';
 import zlib from 'zlib';
+import { CLIENT_FUNCTIONS_MANIFEST_NAME, findClientFunctions } from '../src/client_function_manifest.js';
 
 async function buildClientScaffolding(config) {
 
@@ -35,6 +38,34 @@ async function buildClientScaffolding(config) {
   await fs.promises.writeFile(frontendBundlePath + '/index.html.gz', gzipBuffer);
 
   await fs.promises.writeFile(frontendBundlePath + '/index.html', htmlBuffer);
+
+  // the runtime on its own, for pages served in a custom HTML shell
+  await fs.promises.writeFile(frontendBundlePath + '/runtime.js', minifiedCode);
+}
+
+// lists the package's own client functions (i.e. the router's), for the apps' static client function bundles
+async function buildClientFunctionsManifest(config) {
+
+  let targetDirectory = config.targetDirectory;
+  let clientFunctions = {};
+
+  let files = await fs.promises.readdir(targetDirectory, { recursive: true });
+
+  for (let file of files) {
+    if (path.extname(file) != '.js') {
+      continue;
+    }
+
+    let code = await fs.promises.readFile(targetDirectory + '/' + file, 'utf8');
+    let ast = await babel.parseAsync(code, { configFile: false, babelrc: false, sourceType: 'module' });
+    let fileClientFunctions = findClientFunctions(babel, ast);
+
+    if (fileClientFunctions.length) {
+      clientFunctions[file] = fileClientFunctions;
+    }
+  }
+
+  await fs.promises.writeFile(targetDirectory + '/' + CLIENT_FUNCTIONS_MANIFEST_NAME, JSON.stringify(clientFunctions, null, 2));
 }
 
 
@@ -50,3 +81,7 @@ await execa('./node_modules/.bin/babel', [
 ], {
   stdio: 'inherit'
 });
+
+await buildClientFunctionsManifest({
+  targetDirectory: process.cwd() + '/dist'
+});
@@ -1,13 +1,31 @@
-
 import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { CLIENT_FUNCTIONS_MANIFEST_NAME } from './client_function_manifest.js';
+
+/**
+ * Build settings, read from the app's `seniman.config.js` if there's one:
+ *
+ * export default {
+ *   srcDir: 'src',                              // the app's source code, compiled by `seniman dev`
+ *   outDir: 'dist',                             // where the app is compiled to
+ *   syntaxErrorsPath: 'dist/SyntaxErrors.json', // defaults to SyntaxErrors.json in outDir
+ *   devPort: 3002                               // where `seniman dev` shows syntax errors the app can't start with
+ * };
+ *
+ * The config file is looked up from the directory of the script node was started with, up to the filesystem
+ * root -- and then from the working directory. Its paths are relative to the config file's directory.
+ *
+ * The same settings can also be passed as the `build` entrypoint option, with paths relative to the working
+ * directory, which take precedence over the config file's.
+ */
 
 export let build = {};
 
-// TODO: read this from a config file
-let buildPath = process.cwd() + '/dist';
+let CONFIG_FILE_NAME = 'seniman.config.js';
 
-let senimanLibraryPath = process.cwd() + '/node_modules/seniman/dist';
-let frontendBundlePath = senimanLibraryPath + '/frontend-bundle';
+// the browser runtime is bundled along with this module, wherever the seniman package ends up installed
+let frontendBundlePath = fileURLToPath(new URL('./frontend-bundle', import.meta.url));
 
 build.htmlBuffers = {
   br: fs.readFileSync(frontendBundlePath + "/index.html.brotli"),
@@ -15,14 +33,80 @@ build.htmlBuffers = {
   uncompressed: fs.readFileSync(frontendBundlePath + "/index.html"),
 };
 
-try {
-  //build.globalCss = (fs.readFileSync(buildPath + '/global.css')).toString();
-} catch (e) {
-  console.log('No global CSS detected.');
+build.runtimeScript = fs.readFileSync(frontendBundlePath + "/runtime.js").toString();
+
+function findConfigFile(dir) {
+  while (true) {
+    let configPath = path.join(dir, CONFIG_FILE_NAME);
+
+    if (fs.existsSync(configPath)) {
+      return configPath;
+    }
+
+    let parentDir = path.dirname(dir);
+
+    if (parentDir == dir) {
+      return null;
+    }
+
+    dir = parentDir;
+  }
+}
+
+function resolveBuildConfig(config, baseDir) {
+  let resolvedConfig = {};
+
+  if (config.srcDir) {
+    resolvedConfig.srcDir = path.resolve(baseDir, config.srcDir);
+  }
+
+  if (config.outDir) {
+    resolvedConfig.outDir = path.resolve(baseDir, config.outDir);
+  }
+
+  if (config.syntaxErrorsPath) {
+    resolvedConfig.syntaxErrorsPath = path.resolve(baseDir, config.syntaxErrorsPath);
+  }
+
+  if (config.devPort) {
+    resolvedConfig.devPort = config.devPort;
+  }
+
+  return resolvedConfig;
+}
+
+async function loadConfigFile() {
+  // `seniman dev` starts the app's entry script through its runner
+  let entryPath = process.env.SENIMAN_DEV_ENTRY || process.argv[1];
+  let configPath = (entryPath && findConfigFile(path.dirname(path.resolve(entryPath)))) ||
+    findConfigFile(process.cwd());
+
+  if (!configPath) {
+    return {};
+  }
+
+  let configModule = await import(pathToFileURL(configPath).href);
+
+  return resolveBuildConfig(configModule.default || {}, path.dirname(configPath));
+}
+
+let fileConfig = await loadConfigFile();
+
+export function configureBuild(options = {}) {
+  let config = { ...fileConfig, ...resolveBuildConfig(options, process.cwd()) };
+
+  build.srcDir = config.srcDir || path.join(process.cwd(), 'src');
+  build.outDir = config.outDir || path.join(process.cwd(), 'dist');
+  build.syntaxErrorsPath = config.syntaxErrorsPath || path.join(build.outDir, 'SyntaxErrors.json');
+  build.clientFunctionsPath = path.join(build.outDir, CLIENT_FUNCTIONS_MANIFEST_NAME);
+  build.devPort = config.devPort || 3002;
+  build.syntaxErrors = null;
+
+  try {
+    build.syntaxErrors = JSON.parse(fs.readFileSync(build.syntaxErrorsPath));
+  } catch (e) {
+    // no syntax errors
+  }
 }
 
-try {
-  build.syntaxErrors = JSON.parse(fs.readFileSync(buildPath + '/SyntaxErrors.json'));
-} catch (e) {
-  console.log('No syntax errors.');
-}
\ No newline at end of file
+configureBuild();
@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import { build } from './build.js';
+import { findClientFunctions } from './client_function_manifest.js';
+
+/**
+ * The `seniman` command line:
+ *
+ * seniman build
+ *
+ * Compiles the app's source directory (`src` by default, see seniman.config.js) with the project's Babel config.
+ * Files that fail to compile are written to SyntaxErrors.json, along with the location and code frame of their
+ * error -- the app then shows them instead of its windows. The `$c` client functions of the compiled files are
+ * listed in ClientFunctions.json, which the `staticClientFunctions` entrypoint option serves to the browser.
+ *
+ * seniman dev [entry]
+ *
+ * Builds the app and runs the compiled entry script (`<outDir>/index.js` by default). Source changes are
+ * recompiled, and the app is restarted -- connected browsers then reconnect, and get their windows re-rendered at
+ * their current path. If the app can't start because of its syntax errors (i.e. a module it imports has never
+ * compiled), they're shown on the `devPort` of seniman.config.js instead.
+ */
+
+let RESTART_DEBOUNCE = 100;
+
+// how long the app gets to shut down before it's killed
+let SHUTDOWN_TIMEOUT = 3000;
+
+let COMPILED_EXTENSIONS = new Set(['.js', '.jsx', '.mjs']);
+
+// runs the app's entry script in the app process
+let DEV_RUNNER_PATH = fileURLToPath(new URL('./dev_runner.js', import.meta.url));
+
+function loadBabel() {
+  // Babel and its Seniman plugin are the project's dependencies, not ours
+  let projectRequire = createRequire(path.join(process.cwd(), 'package.json'));
+
+  try {
+    let babelPath = projectRequire.resolve('@babel/core');
+
+    return {
+      core: projectRequire(babelPath),
+      codeFrame: createRequire(babelPath)('@babel/code-frame')
+    };
+  } catch (e) {
+    console.error('seniman needs @babel/core and babel-plugin-seniman installed in your project.');
+    process.exit(1);
+  }
+}
+
+function getOutputPath(filePath) {
+  let outputPath = path.join(build.outDir, path.relative(build.srcDir, filePath));
+
+  return path.extname(outputPath) == '.jsx' ? outputPath.slice(0, -4) + '.js' : outputPath;
+}
+
+function listFiles(dir) {
+  let files = [];
+
+  for (let entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    let entryPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      files.push(...listFiles(entryPath));
+    } else {
+      files.push(entryPath);
+    }
+  }
+
+  return files;
+}
+
+function createSyntaxError(babel, filePath, error) {
+  let fileName = path.relative(process.cwd(), filePath);
+
+  // babel's messages start with the file's path, and end with their location and code frame
+  let message = error.message.split('\n')[0].replace(filePath + ': ', '').replace(/ \(\d+:\d+\)$/, '');
+  let syntaxError = { name: error.name, message, file: fileName, lineNumber: null, column: null, codeFrame: '' };
+
+  if (error.loc) {
+    let source = fs.readFileSync(filePath, 'utf8');
+    let location = { start: { line: error.loc.line, column: error.loc.column + 1 } };
+
+    syntaxError.lineNumber = error.loc.line;
+    syntaxError.column = error.loc.column + 1;
+    syntaxError.codeFrame = babel.codeFrame.codeFrameColumns(source, location, { highlightCode: false, linesAbove: 3, linesBelow: 3 });
+  }
+
+  return syntaxError;
+}
+
+// compiles (or copies, for non-script files) a source file into the output directory. returns the file's
+// syntax error, if any, and the client functions it declares.
+async function compileFile(babel, filePath) {
+  let outputPath = getOutputPath(filePath);
+
+  // the path might have been a directory, along with its files
+  if (!fs.existsSync(filePath)) {
+    await fs.promises.rm(outputPath, { force: true, recursive: true });
+    return { syntaxError: null, clientFunctions: [] };
+  }
+
+  await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+
+  if (!COMPILED_EXTENSIONS.has(path.extname(filePath))) {
+    await fs.promises.copyFile(filePath, outputPath);
+    return { syntaxError: null, clientFunctions: [] };
+  }
+
+  try {
+    let result = await babel.core.transformFileAsync(filePath, { cwd: process.cwd(), ast: true });
+    await fs.promises.writeFile(outputPath, result.code);
+
+    return { syntaxError: null, clientFunctions: findClientFunctions(babel.core, result.ast) };
+  } catch (e) {
+    console.error(e.message);
+    return { syntaxError: createSyntaxError(babel, filePath, e), clientFunctions: [] };
+  }
+}
+
+// compiles the files, and updates the syntax errors and client functions (file name -> errors / functions) with
+// their results
+async function compileFiles(babel, filePaths, compilation) {
+  let { syntaxErrors, clientFunctions } = compilation;
+
+  for (let filePath of filePaths) {
+    let fileName = path.relative(process.cwd(), filePath);
+    let result;
+
+    try {
+      result = await compileFile(babel, filePath);
+    } catch (e) {
+      // i.e. the file can't be read, or its output written -- the other files are compiled all the same
+      console.error(`[seniman] failed to compile ${fileName}`, e);
+      continue;
+    }
+
+    if (result.syntaxError) {
+      syntaxErrors[fileName] = result.syntaxError;
+    } else {
+      delete syntaxErrors[fileName];
+    }
+
+    if (result.clientFunctions.length) {
+      clientFunctions[fileName] = result.clientFunctions;
+    } else {
+      delete clientFunctions[fileName];
+    }
+  }
+
+  if (Object.keys(syntaxErrors).length) {
+    await fs.promises.mkdir(path.dirname(build.syntaxErrorsPath), { recursive: true });
+    await fs.promises.writeFile(build.syntaxErrorsPath, JSON.stringify(syntaxErrors, null, 2));
+  } else {
+    await fs.promises.rm(build.syntaxErrorsPath, { force: true });
+    console.log('[seniman] no syntax errors');
+  }
+
+  await fs.promises.mkdir(path.dirname(build.clientFunctionsPath), { recursive: true });
+  await fs.promises.writeFile(build.clientFunctionsPath, JSON.stringify(clientFunctions, null, 2));
+}
+
+async function runBuild() {
+  let babel = loadBabel();
+  let compilation = { syntaxErrors: {}, clientFunctions: {} };
+
+  await compileFiles(babel, listFiles(build.srcDir), compilation);
+
+  let errorCount = Object.keys(compilation.syntaxErrors).length;
+
+  if (errorCount) {
+    console.error(`[seniman] ${errorCount} file(s) failed to compile, see ${path.relative(process.cwd(), build.syntaxErrorsPath)}`);
+    process.exit(1);
+  }
+}
+
+class AppProcess {
+
+  constructor(entryPath) {
+    this.entryPath = entryPath;
+    this.child = null;
+  }
+
+  start() {
+    this.child = spawn(process.execPath, [DEV_RUNNER_PATH, this.entryPath], {
+      stdio: 'inherit',
+      env: { ...process.env, SENIMAN_DEV: '1', SENIMAN_DEV_ENTRY: this.entryPath }
+    });
+
+    let child = this.child;
+
+    child.on('exit', (code, signal) => {
+      if (this.child == child) {
+        this.child = null;
+        console.log(`[seniman] app exited (${signal || code}), waiting for changes...`);
+      }
+    });
+  }
+
+  async stop() {
+    let child = this.child;
+
+    // the app might have exited on its own (i.e. on the terminal's SIGINT)
+    if (!child || child.exitCode !== null || child.signalCode !== null) {
+      return;
+    }
+
+    this.child = null;
+
+    await new Promise(resolve => {
+      let killTimeout = setTimeout(() => {
+        child.kill('SIGKILL');
+        resolve();
+      }, SHUTDOWN_TIMEOUT);
+
+      child.once('exit', () => {
+        clearTimeout(killTimeout);
+        resolve();
+      });
+
+      child.kill('SIGTERM');
+    });
+  }
+
+  async restart() {
+    await this.stop();
+    this.start();
+  }
+}
+
+async function runDev(entry) {
+  let babel = loadBabel();
+  let entryPath = path.resolve(entry || path.join(build.outDir, 'index.js'));
+  let app = new AppProcess(entryPath);
+
+  let compilation = { syntaxErrors: {}, clientFunctions: {} };
+
+  console.log(`[seniman] compiling ${path.relative(process.cwd(), build.srcDir)}...`);
+
+  // the app is run even with syntax errors, so it can show them in the browser
+  await compileFiles(babel, listFiles(build.srcDir), compilation);
+  app.start();
+
+  let changedFiles = new Set();
+  let restartTimeout = null;
+  let restarting = Promise.resolve();
+
+  let restart = async () => {
+    let filePaths = [...changedFiles];
+    changedFiles.clear();
+
+    console.log(`[seniman] ${filePaths.map(filePath => path.relative(process.cwd(), filePath)).join(', ')} changed, restarting...`);
+
+    await compileFiles(babel, filePaths, compilation);
+    await app.restart();
+  };
+
+  fs.watch(build.srcDir, { recursive: true }, (eventType, fileName) => {
+    let filePath = fileName && path.join(build.srcDir, fileName);
+
+    if (!filePath) {
+      return;
+    }
+
+    try {
+      // directories are compiled through their files' events
+      if (fs.statSync(filePath).isDirectory()) {
+        return;
+      }
+    } catch (e) {
+      // removed -- its output is removed along with it
+    }
+
+    changedFiles.add(filePath);
+    clearTimeout(restartTimeout);
+
+    restartTimeout = setTimeout(() => {
+      restarting = restarting.then(restart).catch(e => console.error('[seniman] failed to restart the app', e));
+    }, RESTART_DEBOUNCE);
+  });
+
+  let shutdown = async () => {
+    await app.stop();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+let [command, ...args] = process.argv.slice(2);
+
+if (command == 'build') {
+  await runBuild();
+} else if (command == 'dev') {
+  await runDev(args[0]);
+} else {
+  console.log('Usage: seniman build | seniman dev [entry]');
+  process.exit(command ? 1 : 0);
+}
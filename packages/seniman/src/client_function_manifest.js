@@ -0,0 +1,47 @@
+import crypto from 'node:crypto';
+
+/**
+ * The `$c` client functions of compiled code, as listed in the ClientFunctions.json manifests the static client
+ * function bundle is built from: the package's own (written by its build script), and the app's (written by
+ * `seniman build` and `seniman dev`).
+ *
+ * Each function is identified by a key derived from its argument names and body, which stays the same across
+ * builds and processes -- unlike its id, which depends on the order modules are imported in.
+ */
+
+export let CLIENT_FUNCTIONS_MANIFEST_NAME = 'ClientFunctions.json';
+
+export function getClientFunctionKey(clientFunction) {
+  let source = JSON.stringify([clientFunction.argNames, clientFunction.body]);
+
+  return crypto.createHash('sha256').update(source).digest('hex').substring(0, 12);
+}
+
+// lists the client functions declared by a compiled file's AST, as { argNames, body }
+export function findClientFunctions(babelCore, ast) {
+  let clientFunctions = [];
+
+  babelCore.traverse(ast, {
+    CallExpression(path) {
+      let { callee, arguments: [definition] } = path.node;
+
+      if (callee.type != 'Identifier' || callee.name != '_$declareClientFunction' || !definition || definition.type != 'ObjectExpression') {
+        return;
+      }
+
+      let clientFunction = {};
+
+      for (let property of definition.properties) {
+        if (property.key.name == 'argNames') {
+          clientFunction.argNames = property.value.elements.map(element => element.value);
+        } else if (property.key.name == 'body') {
+          clientFunction.body = property.value.value;
+        }
+      }
+
+      clientFunctions.push(clientFunction);
+    }
+  });
+
+  return clientFunctions;
+}
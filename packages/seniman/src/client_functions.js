@@ -0,0 +1,174 @@
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import { clientFunctionDefinitions } from './declare.js';
+import { getAcceptedEncoding, compress } from './page.js';
+import { build } from './build.js';
+import { CLIENT_FUNCTIONS_MANIFEST_NAME, getClientFunctionKey } from './client_function_manifest.js';
+
+/**
+ * The static bundle of `$c` client functions, enabled with the `staticClientFunctions: true` entrypoint option.
+ *
+ * By default, a window installs each client function the first time it's used by sending its source code over,
+ * which the browser runtime turns into a function with `new Function` -- not allowed by a Content Security
+ * Policy without `unsafe-eval`. With the bundle, the client functions compiled by `seniman build` (or `seniman
+ * dev`) and the package's own are put into a script (i.e. `/__seniman/fns.3f2a9c01b7d4.js`) that each page loads,
+ * and the windows refer to them by key instead.
+ *
+ * The bundle is built from the build's ClientFunctions.json when it's enabled. A client function that isn't in
+ * it (i.e. compiled by another tool, or since the last build) is an error -- it's never installed from source.
+ */
+
+export let CLIENT_FUNCTION_BUNDLE_PREFIX = '/__seniman/fns.';
+
+let CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+class ClientFunctionBundle {
+
+  constructor() {
+    this.enabled = false;
+    this.bundle = null;
+  }
+
+  enable() {
+    this.enabled = true;
+    this.bundle = this._buildBundle();
+  }
+
+  _buildBundle() {
+    // key -> client function
+    let definitions = new Map();
+    let packageManifestPath = new URL('./' + CLIENT_FUNCTIONS_MANIFEST_NAME, import.meta.url);
+
+    for (let manifestPath of [packageManifestPath, build.clientFunctionsPath]) {
+      let manifest;
+
+      try {
+        manifest = JSON.parse(fs.readFileSync(manifestPath));
+      } catch (e) {
+        throw new Error(`The \`staticClientFunctions\` option needs the client functions listed by \`seniman build\`, but ${manifestPath} couldn't be read.`, { cause: e });
+      }
+
+      for (let clientFunctions of Object.values(manifest)) {
+        for (let clientFunction of clientFunctions) {
+          definitions.set(getClientFunctionKey(clientFunction), clientFunction);
+        }
+      }
+    }
+
+    let entries = [];
+
+    definitions.forEach((clientFunction, key) => {
+      entries.push(`"${key}":function(${clientFunction.argNames.join(',')}){\n${clientFunction.body}\n}`);
+    });
+
+    let content = Buffer.from(`__SENIMAN_FNS__={${entries.join(',')}};`);
+    let hash = crypto.createHash('sha256').update(content).digest('hex').substring(0, 12);
+
+    return {
+      content,
+      definitions,
+
+      // function id -> key, filled in as the functions are used
+      functionKeys: new Map(),
+      url: CLIENT_FUNCTION_BUNDLE_PREFIX + hash + '.js',
+
+      // encoding -> promise of the compressed content
+      encodedContents: {}
+    };
+  }
+
+  url() {
+    return this.bundle.url;
+  }
+
+  // the key the browser finds the function under in the bundle
+  getKey(functionId) {
+    let key = this.bundle.functionKeys.get(functionId);
+
+    if (!key) {
+      let clientFunction = clientFunctionDefinitions.get(functionId);
+
+      key = getClientFunctionKey(clientFunction);
+
+      if (!this.bundle.definitions.has(key)) {
+        throw new Error(`The client function \`(${clientFunction.argNames.join(', ')}) => ${clientFunction.body.substring(0, 60)}\` isn't in the static client function bundle -- compile the app with \`seniman build\` before starting it.`);
+      }
+
+      this.bundle.functionKeys.set(functionId, key);
+    }
+
+    return key;
+  }
+
+  getDefinition(key) {
+    return this.bundle.definitions.get(key);
+  }
+
+  isBundleRequest(req) {
+    return this.enabled && req.url.startsWith(CLIENT_FUNCTION_BUNDLE_PREFIX);
+  }
+
+  async serve(req, res) {
+    try {
+      await this._serve(req, res);
+    } catch (e) {
+      console.error('Failed to serve client function bundle', req.url, e);
+
+      if (res.headersSent) {
+        res.destroy();
+      } else {
+        res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Internal Server Error');
+      }
+    }
+  }
+
+  _getEncodedContent(bundle, algo) {
+    if (!bundle.encodedContents[algo]) {
+      let promise = compress(bundle.content, algo);
+
+      // let the next request try again
+      promise.catch(() => {
+        if (bundle.encodedContents[algo] == promise) {
+          delete bundle.encodedContents[algo];
+        }
+      });
+
+      bundle.encodedContents[algo] = promise;
+    }
+
+    return bundle.encodedContents[algo];
+  }
+
+  async _serve(req, res) {
+    let bundle = this.bundle;
+
+    // only the current bundle is served -- its URL changes along with its content
+    if (!this.enabled || req.url.split('?')[0] != bundle.url) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not Found');
+      return;
+    }
+
+    let algo = getAcceptedEncoding(req);
+    let headers = {
+      'Content-Type': 'text/javascript; charset=utf-8',
+      'Cache-Control': CACHE_CONTROL,
+      'Vary': 'Accept-Encoding'
+    };
+
+    let content = bundle.content;
+
+    if (algo) {
+      content = await this._getEncodedContent(bundle, algo);
+      headers['Content-Encoding'] = algo;
+    }
+
+    headers['Content-Length'] = content.length;
+
+    res.writeHead(200, headers);
+    res.end(req.method == 'HEAD' ? null : content);
+  }
+}
+
+export const clientFunctionBundle = new ClientFunctionBundle();
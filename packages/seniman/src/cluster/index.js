@@ -0,0 +1,177 @@
+import cluster from 'node:cluster';
+import net from 'node:net';
+import os from 'node:os';
+import process from 'node:process';
+
+/**
+ * Runs the app across multiple worker processes.
+ *
+ * The primary process accepts the connections and hands each one over to a worker. Connections carrying
+ * a window id (`wi`) -- i.e. WebSocket reconnections -- are routed to the worker owning that window, while the
+ * rest are distributed round-robin. Since only a connection's first request is looked at, workers close
+ * connections after responding to plain HTTP requests, rather than keeping them alive for requests that might
+ * belong to another worker.
+ *
+ * Crashed workers are restarted -- with an increasing delay if they keep crashing right after starting.
+ *
+ * Sample usage:
+ *
+ * runCluster({ workers: 4, port: 3002 }, () => createServer({ Body }));
+ *
+ * `createServer` is only called in the worker processes, and should return a non-listening HTTP server.
+ */
+
+let CONNECTION_MESSAGE = 'seniman:connection';
+
+// a request line longer than this is not something we can route
+let MAX_REQUEST_LINE_LENGTH = 8192;
+
+// a worker that has run for this long has started fine, and is restarted right away if it exits
+let HEALTHY_WORKER_UPTIME = 10000;
+
+// delays between the restarts of a worker that keeps exiting early, doubling from the first up to the max
+let FIRST_RESPAWN_DELAY = 500;
+let MAX_RESPAWN_DELAY = 30000;
+
+// in worker processes, window ids are prefixed with the worker's index in base 36 -- see windowManager.createWindowId
+function getWindowWorkerIndex(windowId) {
+  return parseInt(windowId[0], 36);
+}
+
+export function runCluster(options, createServer) {
+  if (cluster.isPrimary) {
+    runPrimary(options);
+  } else {
+    runWorker(createServer);
+  }
+}
+
+function runPrimary(options) {
+  let workerCount = options.workers || os.availableParallelism();
+  let workers = [];
+  let nextWorkerIndex = 0;
+
+  // window ids carry the worker index as a single base-36 character
+  if (workerCount > 36) {
+    throw new Error('Seniman cluster supports up to 36 workers.');
+  }
+
+  let forkWorker = (workerIndex, lastRespawnDelay) => {
+    let worker = cluster.fork({ SENIMAN_WORKER_INDEX: workerIndex });
+    let startTime = Date.now();
+
+    // keep the worker slot filled so windows created later still map to a live worker.
+    // windows owned by the crashed worker are gone, and their browsers will reload on reconnection.
+    worker.on('exit', (code, signal) => {
+      let respawnDelay = 0;
+
+      if (Date.now() - startTime < HEALTHY_WORKER_UPTIME) {
+        respawnDelay = lastRespawnDelay ? Math.min(lastRespawnDelay * 2, MAX_RESPAWN_DELAY) : FIRST_RESPAWN_DELAY;
+      }
+
+      console.log(`Worker ${workerIndex} exited (${signal || code}), restarting${respawnDelay ? ` in ${respawnDelay}ms` : ''}.`);
+
+      // connections are handed to the other workers in the meantime
+      workers[workerIndex] = null;
+      setTimeout(() => forkWorker(workerIndex, respawnDelay), respawnDelay);
+    });
+
+    // i.e. a failed handover of a connection, which is already taken care of
+    worker.on('error', (err) => {
+      console.error(`Worker ${workerIndex} error`, err);
+    });
+
+    workers[workerIndex] = worker;
+  }
+
+  for (let i = 0; i < workerCount; i++) {
+    forkWorker(i);
+  }
+
+  // returns null when no worker is running
+  let getTargetWorker = (requestLine) => {
+    let url = requestLine.split(' ')[1] || '';
+    let windowId = new URLSearchParams(url.split('?')[1]).get('wi');
+    let worker = windowId && workers[getWindowWorkerIndex(windowId)];
+
+    if (worker) {
+      return worker;
+    }
+
+    for (let i = 0; i < workerCount; i++) {
+      nextWorkerIndex = (nextWorkerIndex + 1) % workerCount;
+
+      if (workers[nextWorkerIndex]) {
+        return workers[nextWorkerIndex];
+      }
+    }
+
+    return null;
+  }
+
+  let server = net.createServer({ pauseOnConnect: true }, (socket) => {
+    let head = Buffer.alloc(0);
+
+    socket.on('error', () => {
+      socket.destroy();
+    });
+
+    let onData = (chunk) => {
+      head = Buffer.concat([head, chunk]);
+
+      let lineEnd = head.indexOf('\r\n');
+
+      if (lineEnd == -1) {
+        if (head.length > MAX_REQUEST_LINE_LENGTH) {
+          socket.destroy();
+        }
+
+        return;
+      }
+
+      socket.pause();
+      socket.removeListener('data', onData);
+
+      let worker = getTargetWorker(head.toString('latin1', 0, lineEnd));
+
+      if (!worker) {
+        socket.destroy();
+        return;
+      }
+
+      // the bytes read here to find the request line are sent along with the socket to be replayed in the worker.
+      // the worker might have exited in the meantime, or the socket been closed by the client.
+      worker.send({ cmd: CONNECTION_MESSAGE, head: head.toString('base64') }, socket, (err) => {
+        if (err) {
+          socket.destroy();
+        }
+      });
+    }
+
+    socket.on('data', onData);
+    socket.resume();
+  });
+
+  server.listen(options.port, options.host, () => {
+    console.log(`Seniman cluster listening on port ${server.address().port} with ${workerCount} workers.`);
+  });
+}
+
+function runWorker(createServer) {
+  let server = createServer();
+
+  // the next request on the connection might be for a window of another worker (see above)
+  server.prependListener('request', (req, res) => {
+    res.setHeader('Connection', 'close');
+  });
+
+  process.on('message', (message, socket) => {
+    if (!message || message.cmd != CONNECTION_MESSAGE || !socket) {
+      return;
+    }
+
+    server.emit('connection', socket);
+    socket.emit('data', Buffer.from(message.head, 'base64'));
+    socket.resume();
+  });
+}
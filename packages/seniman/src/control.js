@@ -0,0 +1,26 @@
+/**
+ * Renders a list of items, keyed by `key`.
+ *
+ * Each item is rendered once, and kept for as long as its key stays in the list -- when the list changes, only
+ * the new items are rendered, and the rendered ones are moved or removed in place instead of re-rendering the
+ * whole list. An item that is replaced by a different value under the same key is rendered again.
+ *
+ * Sample usage:
+ *
+ * <For each={todos} key={todo => todo.id}>
+ *   {(todo, index) => <TodoItem todo={todo} index={index} />}
+ * </For>
+ *
+ * `each` is either an array or a function returning one (i.e. a state getter) to have the list update as it
+ * changes. `key` defaults to the item itself. The children function receives the item and a getter for its
+ * current index, and has to render a single element for each item. <For> itself can't be placed inside an array
+ * of other nodes.
+ */
+export function For(props) {
+  return {
+    type: 'keyedList',
+    each: props.each,
+    key: props.key,
+    render: props.children
+  };
+}
@@ -0,0 +1,32 @@
+import { pathToFileURL } from 'node:url';
+
+/**
+ * The app process of `seniman dev`, started as `node dev_runner.js <entry>`.
+ *
+ * Runs the app's entry script -- or, when the app fails to start while some of its files have syntax errors
+ * (i.e. it imports a module that has never compiled), serves a page showing them on the build's `devPort`
+ * until the next change restarts the app.
+ */
+
+// the app sees the same arguments as when its entry script is run directly
+process.argv.splice(1, 1);
+
+let entryPath = process.argv[1];
+
+try {
+  await import(pathToFileURL(entryPath).href);
+} catch (e) {
+  let { build } = await import('./build.js');
+
+  if (!build.syntaxErrors) {
+    throw e;
+  }
+
+  console.error(e);
+  console.error(`[seniman] the app failed to start, showing its syntax errors on http://localhost:${build.devPort}`);
+
+  // windows only render the syntax errors while there are any
+  let { createServer } = await import('./server/index.js');
+
+  createServer({ Body: () => null }).listen(build.devPort);
+}
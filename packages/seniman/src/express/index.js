@@ -1,43 +1,36 @@
 import { WebSocketServer } from 'ws';
-import { build } from '../build.js';
+import { servePage } from '../page.js';
+import { COOKIE_ENDPOINT_PATH, handleCookieRequest } from '../v2/cookies.js';
+import { staticAssets } from '../static.js';
+import { pageShell } from '../shell.js';
+import { CLIENT_FUNCTION_BUNDLE_PREFIX, clientFunctionBundle } from '../client_functions.js';
+import { configureBuild } from '../build.js';
 import { windowManager } from '../v2/window_manager.js';
 
 export function wrapExpress(app, options) {
 
-  windowManager.registerEntrypoint(options);
-
-  let htmlBuffers = build.htmlBuffers;
-
-  let prebuiltHeaders = {
-    'Content-Type': 'text/html',
-    'Vary': 'Accept',
-    'Cache-Control': 'no-store'
-  };
-
-  app.get('*', async function (req, res) {
+  if (options.build) {
+    configureBuild(options.build);
+  }
 
-    let acceptEncoding = req.headers['accept-encoding'] || '';
-    let algo;
-    let html;
+  windowManager.registerEntrypoint(options);
 
-    if (acceptEncoding.indexOf('br') > -1) {
-      algo = 'br';
-      html = htmlBuffers.br;
-    } else if (acceptEncoding.indexOf('gzip') > -1) {
-      algo = 'gzip';
-      html = htmlBuffers.gzip;
-    } else {
-      html = htmlBuffers.uncompressed;
-    }
+  if (options.html) {
+    pageShell.configure(options.html);
+  }
 
-    res.set(prebuiltHeaders);
+  if (options.staticClientFunctions) {
+    clientFunctionBundle.enable();
+    app.get(CLIENT_FUNCTION_BUNDLE_PREFIX + '*', (req, res) => clientFunctionBundle.serve(req, res));
+  }
 
-    if (algo) {
-      res.set('Content-Encoding', algo);
-    }
+  if (options.static) {
+    staticAssets.configure(options.static);
+    app.get(staticAssets.prefix + '/*', (req, res) => staticAssets.serve(req, res));
+  }
 
-    res.end(html);
-  });
+  app.post(COOKIE_ENDPOINT_PATH, handleCookieRequest);
+  app.get('*', servePage);
 
   // capture the existing app.listen function, and wrap it in a new function
   // that will also start the websocket server
@@ -50,9 +43,7 @@ export function wrapExpress(app, options) {
     let server = oldListen.call(app, port, host, backlog, callback);
 
     server.on('upgrade', (request, socket, head) => {
-      wsServer.handleUpgrade(request, socket, head, ws => {
-        windowManager.applyNewConnection(ws, request);
-      });
+      windowManager.handleUpgrade(wsServer, request, socket, head);
     });
 
     return server;
@@ -0,0 +1,210 @@
+import { useState, withModifiers } from '../index.js';
+
+/**
+ * Form state, with server-side validation and submit handling.
+ *
+ * Sample usage:
+ *
+ * function SignupForm() {
+ *   let form = useForm({
+ *     initialValues: { email: '', password: '', terms: false },
+ *     validate: {
+ *       email: async (email) => await isEmailTaken(email) ? 'This email is already registered' : null,
+ *       password: (password) => password.length < 8 ? 'Use at least 8 characters' : null
+ *     },
+ *     onSubmit: async (values) => {
+ *       await createUser(values);
+ *     }
+ *   });
+ *
+ *   let email = form.field('email');
+ *   let terms = form.field('terms');
+ *
+ *   return <form onSubmit={form.onSubmit}>
+ *     <input name="email" value={email.value()} onInput={email.onInput} onBlur={email.onBlur} />
+ *     <div class="error">{email.error()}</div>
+ *     <input name="terms" type="checkbox" checked={terms.value()} onInput={terms.onInput} />
+ *     <button disabled={form.isSubmitting()}>Sign up</button>
+ *   </form>;
+ * }
+ *
+ * The values are kept in sync with the inputs through their default `input` event payloads, and the submit
+ * event sends the values of every named field of the form in a single message. Fields with a boolean initial
+ * value take the checked state of their checkbox.
+ *
+ * Validators are given the field's value along with all of the form's values, and return an error message --
+ * or a falsy value if the value is valid -- or a promise of either. A field is validated once it's been
+ * blurred, and then on every change; all fields are validated before `onSubmit` is called, which only happens
+ * when none of them has an error.
+ */
+
+class Field {
+
+  constructor(form, name, initialValue) {
+    this.form = form;
+    this.name = name;
+    this.initialValue = initialValue;
+
+    [this.value, this._setValue] = useState(initialValue);
+    [this.error, this._setError] = useState(null);
+    [this.touched, this._setTouched] = useState(false);
+
+    // incremented by every validation, so the results of outdated async validations can be dropped
+    this._validationId = 0;
+
+    let handleInput = (payload) => {
+      this.setValue(this._getInputValue(payload));
+
+      if (this.touched() || this.form.submitCount()) {
+        return this.validate();
+      }
+    };
+
+    this.onInput = form.syncDelay ? withModifiers(handleInput, { debounce: form.syncDelay }) : handleInput;
+
+    this.onBlur = () => {
+      this._setTouched(true);
+      return this.validate();
+    };
+  }
+
+  // inputs send their default payload (i.e. `{ value }`), while custom components can pass the value itself
+  _getInputValue(payload) {
+    if (payload === null || typeof payload != 'object') {
+      return payload;
+    }
+
+    return typeof this.initialValue == 'boolean' ? payload.checked : payload.value;
+  }
+
+  setValue(value) {
+    this._setValue(value);
+  }
+
+  // resolves to whether the field's current value is valid
+  async validate() {
+    let validator = this.form.validators[this.name];
+
+    if (!validator) {
+      return true;
+    }
+
+    let validationId = ++this._validationId;
+    let error = await validator(this.value(), this.form.getValues());
+
+    if (validationId == this._validationId) {
+      this._setError(error || null);
+    }
+
+    return !error;
+  }
+
+  reset() {
+    this._validationId++;
+
+    this._setValue(this.initialValue);
+    this._setError(null);
+    this._setTouched(false);
+  }
+}
+
+class Form {
+
+  constructor(options) {
+    this.validators = options.validate || {};
+    this.syncDelay = options.syncDelay || 0;
+    this.onSubmitCallback = options.onSubmit || null;
+
+    [this.isSubmitting, this._setSubmitting] = useState(false);
+    [this.submitCount, this._setSubmitCount] = useState(0);
+
+    this.fields = new Map();
+
+    Object.keys(options.initialValues || {}).forEach(name => {
+      this.fields.set(name, new Field(this, name, options.initialValues[name]));
+    });
+
+    this.onSubmit = withModifiers((values) => this.submit(values), { preventDefault: true });
+  }
+
+  field(name) {
+    let field = this.fields.get(name);
+
+    if (!field) {
+      throw new Error(`Unknown form field: ${name} -- give it an initial value in useForm's initialValues.`);
+    }
+
+    return field;
+  }
+
+  getValues() {
+    let values = {};
+
+    this.fields.forEach((field, name) => {
+      values[name] = field.value();
+    });
+
+    return values;
+  }
+
+  // field name -> error, of the fields that have one
+  errors() {
+    let errors = {};
+
+    this.fields.forEach((field, name) => {
+      let error = field.error();
+
+      if (error) {
+        errors[name] = error;
+      }
+    });
+
+    return errors;
+  }
+
+  isValid() {
+    return Object.keys(this.errors()).length == 0;
+  }
+
+  async validate() {
+    let results = await Promise.all([...this.fields.values()].map(field => field.validate()));
+    return results.every(valid => valid);
+  }
+
+  // `submittedValues` are the form's values sent along with the submit event, which take precedence over the
+  // values synced so far. values of fields that aren't declared in initialValues are left out, as the client is
+  // free to send any it likes.
+  async submit(submittedValues) {
+    if (this.isSubmitting()) {
+      return;
+    }
+
+    if (submittedValues && typeof submittedValues == 'object') {
+      this.fields.forEach((field, name) => {
+        if (name in submittedValues) {
+          field.setValue(submittedValues[name]);
+        }
+      });
+    }
+
+    this._setSubmitCount(count => count + 1);
+    this._setSubmitting(true);
+
+    try {
+      if (await this.validate() && this.onSubmitCallback) {
+        await this.onSubmitCallback(this.getValues());
+      }
+    } finally {
+      this._setSubmitting(false);
+    }
+  }
+
+  reset() {
+    this.fields.forEach(field => field.reset());
+    this._setSubmitCount(0);
+  }
+}
+
+export function useForm(options = {}) {
+  return new Form(options);
+}
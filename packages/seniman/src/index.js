@@ -1,13 +1,25 @@
 import { _createBlock, _createComponent, useWindow } from './v2/window.js';
 import { useState, useMemo, onCleanup, useEffect, untrack, createContext, useContext, useCallback, runInNode, getActiveNode, onError } from './v2/state.js';
 import { _declareBlock, _declareClientFunction } from './declare.js';
+import { FileHibernationStore } from './v2/hibernation.js';
+import { windowManager } from './v2/window_manager.js';
+import { For } from './control.js';
+import { useSession, MemorySessionStore } from './v2/session.js';
+import { assetUrl } from './static.js';
+import { withModifiers } from './v2/event_modifiers.js';
+import { useFileUpload } from './v2/uploads.js';
+
+function getMetrics() {
+  return windowManager.getMetrics();
+}
 
-//import { For } from './control.js';
 export {
   useState,
   useMemo,
   useEffect,
   useWindow,
+  useSession,
+  useFileUpload,
 
   createContext,
   useContext,
@@ -19,6 +31,14 @@ export {
   onCleanup,
   untrack,
 
+  For,
+  withModifiers,
+
+  FileHibernationStore,
+  MemorySessionStore,
+  getMetrics,
+  assetUrl,
+
   _declareBlock,
   _declareClientFunction,
   _createBlock,
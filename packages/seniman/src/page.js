@@ -0,0 +1,194 @@
+import zlib from 'node:zlib';
+import { promisify } from 'node:util';
+import { build } from './build.js';
+import { windowManager } from './v2/window_manager.js';
+import { serializeCookie } from './v2/cookies.js';
+import { createPageToken, getPageBindingId, createPageBindingId, PAGE_BINDING_COOKIE_NAME } from './v2/page_token.js';
+import { pageShell } from './shell.js';
+import { clientFunctionBundle } from './client_functions.js';
+
+const brotliCompress = promisify(zlib.brotliCompress);
+const gzip = promisify(zlib.gzip);
+
+const prebuiltHeaders = {
+  'Content-Type': 'text/html',
+  'Vary': 'Accept',
+  'Cache-Control': 'no-store'
+};
+
+export function getAcceptedEncoding(req) {
+  let acceptEncoding = req.headers['accept-encoding'] || '';
+
+  if (acceptEncoding.indexOf('br') > -1) {
+    return 'br';
+  } else if (acceptEncoding.indexOf('gzip') > -1) {
+    return 'gzip';
+  }
+
+  return null;
+}
+
+export async function compress(buffer, algo) {
+  if (algo == 'br') {
+    return brotliCompress(buffer, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 } });
+  } else if (algo == 'gzip') {
+    return gzip(buffer);
+  }
+
+  return buffer;
+}
+
+// in seconds
+const PAGE_BINDING_COOKIE_MAX_AGE = 365 * 24 * 60 * 60;
+
+// the runtime's config for the page -- the page token the WebSocket connection has to present, and the
+// upgrade path when it's not the default one. returns the Set-Cookie header of the token's binding cookie
+// along with it, for browsers that don't have one yet.
+function createBootConfig(req) {
+  let bootConfig = {};
+  let setCookieHeader = null;
+
+  if (windowManager.secret) {
+    let bindingId = getPageBindingId(req);
+
+    if (!bindingId) {
+      bindingId = createPageBindingId();
+      // outlives the tokens bound to it, which are accepted for reconnections however old they are
+      setCookieHeader = serializeCookie(PAGE_BINDING_COOKIE_NAME, bindingId, { httpOnly: true, sameSite: 'lax', maxAge: PAGE_BINDING_COOKIE_MAX_AGE });
+    }
+
+    bootConfig.pageToken = createPageToken(windowManager.secret, bindingId);
+  }
+
+  if (windowManager.upgradePath != '/') {
+    bootConfig.upgradePath = windowManager.upgradePath;
+  }
+
+  return [bootConfig, setCookieHeader];
+}
+
+// for pages that don't need anything per request
+function getStaticShellBuffer(algo) {
+  if (!pageShell.customized && !clientFunctionBundle.enabled) {
+    return algo ? build.htmlBuffers[algo] : build.htmlBuffers.uncompressed;
+  }
+
+  let key = algo || 'uncompressed';
+
+  if (!pageShell.staticBuffers[key]) {
+    let promise = pageShell.render(null, null, {}, null).then(html => compress(Buffer.from(html), algo));
+
+    // let the next request try again
+    promise.catch(() => {
+      if (pageShell.staticBuffers[key] == promise) {
+        delete pageShell.staticBuffers[key];
+      }
+    });
+
+    pageShell.staticBuffers[key] = promise;
+  }
+
+  return pageShell.staticBuffers[key];
+}
+
+// Renders the first frame of a window into the page's HTML. The browser runtime connects to a new window once
+// the page has loaded, and adopts the server-rendered DOM rather than rebuilding it.
+//
+// Returns the page's HTML along with the Set-Cookie header of a newly created session, if any.
+async function renderPage(req, res, bootConfig) {
+  let auth = await windowManager.authenticateRequest(req);
+
+  // rejected requests get the plain shell, whose connection is rejected in turn
+  if (!auth) {
+    return null;
+  }
+
+  let { session } = auth;
+  let setCookieHeader = null;
+  let isNewSession = session && session.isNew;
+
+  // the session's cookie comes with the page instead of through the window
+  if (isNewSession) {
+    session.isNew = false;
+  }
+
+  let document = windowManager.prerenderDocument(req, session);
+
+  // over the client's window creation rate limit: serve the plain shell instead, leaving the new session unsaved
+  if (!document) {
+    return null;
+  }
+
+  if (isNewSession) {
+    let { name, value, options } = session.issueCookie();
+
+    setCookieHeader = serializeCookie(name, value, options);
+  }
+
+  bootConfig.ssrViewportSize = windowManager.getSSRViewportSize();
+
+  let html = await pageShell.render(req, res, bootConfig, document);
+
+  return { html, setCookieHeader };
+}
+
+// called without awaiting by the servers, so it handles its own errors
+export async function servePage(req, res) {
+  try {
+    await sendPage(req, res);
+  } catch (e) {
+    console.error('Failed to serve page', req.url, e);
+
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Internal Server Error');
+    }
+  }
+}
+
+async function sendPage(req, res) {
+  let algo = getAcceptedEncoding(req);
+  let html;
+  let [bootConfig, bindingCookieHeader] = createBootConfig(req);
+  let setCookieHeaders = bindingCookieHeader ? [bindingCookieHeader] : [];
+
+  if (windowManager.ssr) {
+    try {
+      let page = await renderPage(req, res, bootConfig);
+
+      if (page) {
+        html = await compress(Buffer.from(page.html), algo);
+
+        if (page.setCookieHeader) {
+          setCookieHeaders.push(page.setCookieHeader);
+        }
+      }
+    } catch (e) {
+      console.error('Server-side rendering failed, falling back to client-side rendering.', e);
+    }
+  }
+
+  if (!html && (Object.keys(bootConfig).length || !pageShell.isStatic())) {
+    html = await compress(Buffer.from(await pageShell.render(req, res, bootConfig, null)), algo);
+  } else if (!html) {
+    html = await getStaticShellBuffer(algo);
+  }
+
+  let headers = {
+    ...prebuiltHeaders,
+    'Content-Length': Buffer.byteLength(html)
+  };
+
+  if (algo) {
+    headers['Content-Encoding'] = algo;
+  }
+
+  if (setCookieHeaders.length) {
+    headers['Set-Cookie'] = setCookieHeaders;
+  }
+
+  res.writeHead(200, headers);
+  res.end(html);
+}
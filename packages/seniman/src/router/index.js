@@ -60,10 +60,13 @@ class Router {
     let [activeComponent, setActiveComponent] = useState(startRoute.component);
     let [params, setActiveParams] = useState(startRoute.params);
     let [queryString, setActiveQueryString] = useState(startRoute.queryString);
+    let [hash, setActiveHash] = useState(startRoute.hash || '');
 
     this.activeComponent = activeComponent;
     this.params = params;
     this.queryString = useMemo(() => new URLSearchParams(queryString()));
+    this.hash = hash;
+    this.historyState = window.historyState;
 
     // use `on` to defer the effect so it is not called on the first render
     useEffect(on(window.path, (path) => {
@@ -72,18 +75,21 @@ class Router {
       setActiveComponent(() => route.component);
       setActiveParams(route.params);
       setActiveQueryString(route.queryString);
+      setActiveHash(route.hash || '');
     }, { defer: true }));
   }
 
   resolve(_path) {
-    // split the path into the path and the query string
-    let [path, queryString] = _path.split('?');
+    // split the path into the path, the query string and the hash (which keeps its leading '#')
+    let hashIndex = _path.indexOf('#');
+    let hash = hashIndex == -1 ? '' : _path.slice(hashIndex);
+    let [path, queryString] = (hashIndex == -1 ? _path : _path.slice(0, hashIndex)).split('?');
 
     for (const route of this.routes) {
       const match = route.regex.exec(path);
       if (match) {
         const params = this.getRouteParams(route.path, match);
-        return { name: route.name, component: route.component, params, queryString };
+        return { name: route.name, component: route.component, params, queryString, hash };
       }
     }
 
@@ -139,14 +145,15 @@ class Router {
     this.window.clientExec($c(() => window.history.back()));
   }
 
-  pushTo(href) {
-    this.window.navigate(href);
+  // options: { replace, state } -- see window.navigate
+  pushTo(href, options) {
+    this.window.navigate(href, options);
   }
 
-  push(routeName, params, queryString) {
+  push(routeName, params, queryString, options) {
     let href = this.generatePath(routeName, params, queryString);
 
-    this.window.navigate(href);
+    this.window.navigate(href, options);
   }
 }
 
@@ -212,10 +219,12 @@ export function Link(props) {
       props.onClick();
     }
 
+    let options = { replace: props.replace, state: props.state };
+
     if (props.to) {
-      router.pushTo(props.to);
+      router.pushTo(props.to, options);
     } else {
-      router.push(props.name, props.params, props.queryString);
+      router.push(props.name, props.params, props.queryString, options);
     }
   }
 
@@ -1,51 +1,50 @@
 import { createServer as httpCreateServer } from 'http';
 import { WebSocketServer } from 'ws';
-import { build } from '../build.js';
+import { servePage } from '../page.js';
+import { isCookieRequest, handleCookieRequest } from '../v2/cookies.js';
+import { staticAssets } from '../static.js';
+import { pageShell } from '../shell.js';
+import { clientFunctionBundle } from '../client_functions.js';
+import { configureBuild } from '../build.js';
 import { windowManager } from '../v2/window_manager.js';
 
 
 export function createServer(options) {
 
-  windowManager.registerEntrypoint(options);
-
-  let htmlBuffers = build.htmlBuffers;
+  if (options.build) {
+    configureBuild(options.build);
+  }
 
-  const server = httpCreateServer(function (req, res) {
-
-    let acceptEncoding = req.headers['accept-encoding'] || '';
-    let algo;
-    let html;
+  windowManager.registerEntrypoint(options);
 
-    if (acceptEncoding.indexOf('br') > -1) {
-      algo = 'br';
-      html = htmlBuffers.br;
-    } else if (acceptEncoding.indexOf('gzip') > -1) {
-      algo = 'gzip';
-      html = htmlBuffers.gzip;
+  if (options.html) {
+    pageShell.configure(options.html);
+  }
+
+  if (options.staticClientFunctions) {
+    clientFunctionBundle.enable();
+  }
+
+  if (options.static) {
+    staticAssets.configure(options.static);
+  }
+
+  const server = httpCreateServer((req, res) => {
+    if (staticAssets.isStaticRequest(req)) {
+      staticAssets.serve(req, res);
+    } else if (clientFunctionBundle.isBundleRequest(req)) {
+      clientFunctionBundle.serve(req, res);
+    } else if (isCookieRequest(req)) {
+      handleCookieRequest(req, res);
     } else {
-      html = htmlBuffers.uncompressed;
-    }
-
-    let headers = {
-      'Content-Type': 'text/html',
-      'Vary': 'Accept',
-      'Cache-Control': 'no-store',
-      'Content-Length': Buffer.byteLength(html)
-    }
-
-    if (algo) {
-      headers['Content-Encoding'] = algo;
+      servePage(req, res);
     }
-    res.writeHead(200, headers);
-    res.end(html);
   });
 
   const wss = new WebSocketServer({ noServer: true });
 
   server.on('upgrade', function upgrade(request, socket, head) {
-    wss.handleUpgrade(request, socket, head, ws => {
-      windowManager.applyNewConnection(ws, request);
-    });
+    windowManager.handleUpgrade(wss, request, socket, head);
   });
 
   return server;
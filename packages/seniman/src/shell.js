@@ -0,0 +1,118 @@
+import { build } from './build.js';
+import { clientFunctionBundle } from './client_functions.js';
+
+/**
+ * The HTML shell every page is served in, customizable through the `html` entrypoint option:
+ *
+ * html: {
+ *   lang: 'en',
+ *   head: '<link rel="icon" href="/favicon.ico"><meta name="theme-color" content="#1a1a1a">',
+ *   nonce: (req, res) => res.locals.cspNonce
+ * }
+ *
+ * `head` can also be a function, called for every page with the request and the page's nonce:
+ * `head: (req, { nonce }) => '...'`. The nonce (if any) is set on the scripts of the browser runtime as well.
+ *
+ * For full control over the markup, pass a `template` instead of `lang`:
+ *
+ * template: '<!doctype html><html lang="en"><head><!--seniman-head--></head><body><!--seniman-body--></body></html>'
+ *
+ * The `head` content, the browser runtime and the server-rendered Head are inserted at `<!--seniman-head-->`, and
+ * the server-rendered Body at `<!--seniman-body-->` (or at the end of the template, if there's no body marker).
+ * The runtime takes over everything that comes after it in the head, and the whole body -- so both markers need to
+ * be the last content of their element, save for whitespace.
+ */
+
+let HEAD_MARKER = '<!--seniman-head-->';
+let BODY_MARKER = '<!--seniman-body-->';
+
+let DEFAULT_HEAD = '<meta name="viewport" content="width=device-width,initial-scale=1" />';
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+function escapeScriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+// unlike String.replace, doesn't interpret `$` patterns in the replacement
+function replaceMarker(html, marker, content) {
+  let markerIndex = html.indexOf(marker);
+
+  return html.substring(0, markerIndex) + content + html.substring(markerIndex + marker.length);
+}
+
+class PageShell {
+
+  constructor() {
+    this.template = '<!doctype html>' + DEFAULT_HEAD + HEAD_MARKER;
+    this.head = '';
+    this.nonce = null;
+
+    // without the `html` option, the prebuilt shell can be served as it is
+    this.customized = false;
+
+    // algo -> promise of the compressed HTML of a static shell, filled as pages are served
+    this.staticBuffers = {};
+  }
+
+  configure(options) {
+    let template = options.template;
+
+    if (!template) {
+      template = '<!doctype html>' + (options.lang ? `<html lang="${escapeAttribute(options.lang)}">` : '') + DEFAULT_HEAD + HEAD_MARKER;
+    } else if (template.indexOf(HEAD_MARKER) == -1) {
+      throw new Error(`The html template needs a ${HEAD_MARKER} marker to insert the browser runtime at.`);
+    }
+
+    this.template = template;
+    this.head = options.head || '';
+    this.nonce = options.nonce || null;
+    this.customized = true;
+    this.staticBuffers = {};
+  }
+
+  // whether every page without a boot config or server-rendered content gets the same HTML
+  isStatic() {
+    return !this.nonce && typeof this.head != 'function';
+  }
+
+  // `document` is the server-rendered document of the page, if any
+  async render(req, res, bootConfig, document) {
+    let nonce = null;
+    let head = this.head;
+
+    // the page can't be served without them: fail its request, with the hook to blame
+    try {
+      nonce = this.nonce ? await this.nonce(req, res) : null;
+    } catch (e) {
+      throw new Error('The `nonce` function of the html option failed.', { cause: e });
+    }
+
+    try {
+      head = typeof head == 'function' ? await head(req, { nonce }) : head;
+    } catch (e) {
+      throw new Error('The `head` function of the html option failed.', { cause: e });
+    }
+
+    let nonceAttribute = nonce ? ` nonce="${escapeAttribute(nonce)}"` : '';
+
+    let headHtml = (head || '') +
+      (Object.keys(bootConfig).length ? `<script${nonceAttribute}>__SENIMAN__=${escapeScriptJson(bootConfig)}</script>` : '') +
+      (clientFunctionBundle.enabled ? `<script${nonceAttribute} src="${clientFunctionBundle.url()}"></script>` : '') +
+      `<script${nonceAttribute}>${build.runtimeScript}</script>` +
+      (document ? document.head.innerHTML : '');
+
+    let bodyHtml = document ? document.body.innerHTML : '';
+    let html = replaceMarker(this.template, HEAD_MARKER, headHtml);
+
+    if (html.indexOf(BODY_MARKER) > -1) {
+      return replaceMarker(html, BODY_MARKER, bodyHtml);
+    }
+
+    return document ? html + '<body>' + bodyHtml : html;
+  }
+}
+
+export const pageShell = new PageShell();
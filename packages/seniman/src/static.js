@@ -0,0 +1,277 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { getAcceptedEncoding, compress } from './page.js';
+
+/**
+ * Serves the files of a directory, configured through the `static` entrypoint option:
+ *
+ * static: { dir: './public', prefix: '/static' } // or just `static: './public'`
+ *
+ * The directory is scanned once at startup (following symlinks), and every file gets a content hash. `assetUrl('img/logo.png')`
+ * returns the file's hashed URL (i.e. `/static/img/logo.3f2a9c01b7d4.png`), which is served with a year-long
+ * immutable cache lifetime, while the plain URL is served with an ETag to be revalidated.
+ *
+ * Text-based files are served compressed with brotli or gzip (whichever the client accepts) -- from the `.br` or
+ * `.gz` file next to the original if there's one, or else compressed on their first request and kept in memory.
+ *
+ * Since hashes and compressed contents are only computed once, the files are expected not to change while the
+ * server runs -- restart it to pick up changed files.
+ */
+
+let DEFAULT_PREFIX = '/static';
+
+let IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+let REVALIDATE_CACHE_CONTROL = 'public, no-cache';
+
+let CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.pdf': 'application/pdf',
+  '.wasm': 'application/wasm'
+};
+
+// already compressed formats gain nothing from another round of compression
+function isCompressible(contentType) {
+  return /^text\/|json|xml|svg|javascript/.test(contentType);
+}
+
+class StaticAssets {
+
+  constructor() {
+    this.prefix = null;
+
+    // URL path (relative to the prefix, plain or hashed) -> asset
+    this.assetMap = new Map();
+  }
+
+  configure(options) {
+    if (typeof options == 'string') {
+      options = { dir: options };
+    }
+
+    this.prefix = (options.prefix || DEFAULT_PREFIX).replace(/\/$/, '');
+    this.assetMap.clear();
+
+    this._scanDirectory(path.resolve(options.dir), '', new Set());
+  }
+
+  // `scannedDirs` holds the real paths of the directories being scanned, so that symlinks back to one of them
+  // aren't followed forever
+  _scanDirectory(dir, relativeDir, scannedDirs) {
+    let realDir = fs.realpathSync(dir);
+
+    if (scannedDirs.has(realDir)) {
+      return;
+    }
+
+    scannedDirs.add(realDir);
+
+    for (let entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      let filePath = path.join(dir, entry.name);
+      let relativePath = relativeDir + '/' + entry.name;
+      let stats = entry;
+
+      // symlinks are served as the file or directory they point to
+      if (entry.isSymbolicLink()) {
+        try {
+          stats = fs.statSync(filePath);
+        } catch (e) {
+          // a dangling link
+          continue;
+        }
+      }
+
+      if (stats.isDirectory()) {
+        this._scanDirectory(filePath, relativePath, scannedDirs);
+        continue;
+      }
+
+      if (!stats.isFile()) {
+        continue;
+      }
+
+      let extension = path.extname(entry.name);
+
+      // precompressed variants are picked up along with their original file
+      if ((extension == '.br' || extension == '.gz') && fs.existsSync(filePath.slice(0, -extension.length))) {
+        continue;
+      }
+
+      let content = fs.readFileSync(filePath);
+      let hash = crypto.createHash('sha256').update(content).digest('hex').substring(0, 12);
+      let contentType = CONTENT_TYPES[extension.toLowerCase()] || 'application/octet-stream';
+
+      let asset = {
+        filePath,
+        hash,
+        contentType,
+        hashedPath: relativePath.slice(0, relativePath.length - extension.length) + '.' + hash + extension,
+        compressible: isCompressible(contentType),
+
+        // encoding -> promise of the compressed content
+        encodedContents: {}
+      };
+
+      this.assetMap.set(relativePath, asset);
+      this.assetMap.set(asset.hashedPath, asset);
+    }
+
+    scannedDirs.delete(realDir);
+  }
+
+  url(assetPath) {
+    if (this.prefix === null) {
+      throw new Error('assetUrl() requires the `static` option to be set.');
+    }
+
+    let asset = this.assetMap.get('/' + assetPath.replace(/^\//, ''));
+
+    if (!asset) {
+      throw new Error(`Unknown static asset: ${assetPath}`);
+    }
+
+    return this.prefix + asset.hashedPath;
+  }
+
+  isStaticRequest(req) {
+    return this.prefix !== null && req.url.startsWith(this.prefix + '/');
+  }
+
+  _getEncodedContent(asset, algo) {
+    if (!asset.encodedContents[algo]) {
+      let precompressedPath = asset.filePath + (algo == 'br' ? '.br' : '.gz');
+
+      let promise = fs.promises.readFile(precompressedPath)
+        .catch(() => fs.promises.readFile(asset.filePath).then(content => compress(content, algo)));
+
+      // let the next request try again
+      promise.catch(() => {
+        if (asset.encodedContents[algo] == promise) {
+          delete asset.encodedContents[algo];
+        }
+      });
+
+      asset.encodedContents[algo] = promise;
+    }
+
+    return asset.encodedContents[algo];
+  }
+
+  // called without awaiting by the servers, so it handles its own errors
+  async serve(req, res) {
+    try {
+      await this._serve(req, res);
+    } catch (e) {
+      console.error('Failed to serve static asset', req.url, e);
+
+      if (res.headersSent) {
+        res.destroy();
+      } else {
+        res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Internal Server Error');
+      }
+    }
+  }
+
+  async _serve(req, res) {
+    let urlPath = req.url.split('?')[0].substring(this.prefix.length);
+    let asset;
+
+    try {
+      asset = this.assetMap.get(decodeURIComponent(urlPath));
+    } catch (e) {
+      // malformed URL encoding
+    }
+
+    if (req.method != 'GET' && req.method != 'HEAD') {
+      res.writeHead(405, { 'Allow': 'GET, HEAD' });
+      res.end();
+      return;
+    }
+
+    if (!asset) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not Found');
+      return;
+    }
+
+    let algo = asset.compressible ? getAcceptedEncoding(req) : null;
+    let etag = `"${asset.hash}${algo ? '-' + algo : ''}"`;
+
+    let headers = {
+      'Content-Type': asset.contentType,
+      'Cache-Control': urlPath == asset.hashedPath ? IMMUTABLE_CACHE_CONTROL : REVALIDATE_CACHE_CONTROL,
+      'ETag': etag
+    };
+
+    if (asset.compressible) {
+      headers['Vary'] = 'Accept-Encoding';
+    }
+
+    if (req.headers['if-none-match'] == etag) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    if (algo) {
+      let content = await this._getEncodedContent(asset, algo);
+
+      headers['Content-Encoding'] = algo;
+      headers['Content-Length'] = content.length;
+
+      res.writeHead(200, headers);
+      res.end(req.method == 'HEAD' ? null : content);
+      return;
+    }
+
+    // the length of the file as it's read, rather than as it was scanned
+    let fileHandle = await fs.promises.open(asset.filePath);
+    let size;
+
+    try {
+      size = (await fileHandle.stat()).size;
+    } catch (e) {
+      fileHandle.close();
+      throw e;
+    }
+
+    headers['Content-Length'] = size;
+    res.writeHead(200, headers);
+
+    if (req.method == 'HEAD' || size == 0) {
+      fileHandle.close();
+      res.end();
+    } else {
+      fileHandle.createReadStream({ start: 0, end: size - 1 }).on('error', () => res.destroy()).pipe(res);
+    }
+  }
+}
+
+export const staticAssets = new StaticAssets();
+
+export function assetUrl(assetPath) {
+  return staticAssets.url(assetPath);
+}
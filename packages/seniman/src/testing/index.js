@@ -0,0 +1,440 @@
+import { nanoid } from 'nanoid';
+import { Window } from '../v2/window.js';
+import { windowManager } from '../v2/window_manager.js';
+import { VirtualDocument } from '../v2/virtual_document.js';
+import { encodeEventPayload } from '../v2/event_payload.js';
+import { consumeCookieHandshake } from '../v2/cookies.js';
+import { MODIFIER_PREVENT_DEFAULT, MODIFIER_STOP_PROPAGATION, MODIFIER_ONCE } from '../v2/event_modifiers.js';
+
+/**
+ * Headless rendering of seniman components for tests.
+ *
+ * The component is mounted into a real Window whose port is backed by a VirtualDocument
+ * instead of a WebSocket, so the binary command stream is decoded into an in-memory DOM tree
+ * that can be queried, and events are sent back to the window the same way the browser does.
+ *
+ * Sample usage:
+ *
+ * let screen = await render(Counter);
+ *
+ * await screen.click(screen.getByText('Add +'));
+ *
+ * assert.equal(screen.querySelector('.counter').textContent, 'My counter: 1Add +');
+ *
+ * screen.destroy();
+ */
+
+let EVENT_COMMAND = 1;
+let EVENT_BACKNAV = 3;
+let EVENT_VIEWPORT_UPDATE = 5;
+let EVENT_UPLOAD_CHUNK = 6;
+
+let UPLOAD_CLIENT_FUNCTION_ID = 2;
+let UPLOAD_CHUNK_SIZE = 65536;
+// how many chunks can be sent ahead of the server's acknowledgement, as in the browser runtime
+let UPLOAD_WINDOW_SIZE = 16;
+let UPLOAD_ACK_TIMEOUT = 5000;
+
+function EmptyHead() {
+  return null;
+}
+
+function getElementProperty(el, name) {
+  return el[name] !== undefined ? el[name] : el.getAttribute(name);
+}
+
+function isChecked(el) {
+  return el.checked !== undefined ? !!el.checked : el.getAttribute('checked') !== null;
+}
+
+function getFormValues(form) {
+  let values = {};
+
+  form.querySelectorAll('[name]').forEach(el => {
+    let name = el.getAttribute('name');
+    let type = el.getAttribute('type');
+
+    if (!['input', 'select', 'textarea'].includes(el.tagName) || el.getAttribute('disabled') !== null || type == 'submit' || type == 'button') {
+      return;
+    }
+
+    if (type == 'checkbox') {
+      values[name] = isChecked(el);
+    } else if (type != 'radio' || isChecked(el)) {
+      values[name] = getElementProperty(el, 'value') || '';
+    }
+  });
+
+  return values;
+}
+
+// mirrors the browser runtime's default payload of an event, from the target's state and the event's init
+function getEventPayload(event) {
+  let target = event.target;
+  let type = event.type;
+  let modifierKeys = { altKey: !!event.altKey, ctrlKey: !!event.ctrlKey, metaKey: !!event.metaKey, shiftKey: !!event.shiftKey };
+
+  if (type == 'input' || type == 'change') {
+    let inputType = target.getAttribute('type');
+
+    if (inputType == 'file') {
+      return { files: event.files || [] };
+    }
+
+    let value = getElementProperty(target, 'value') || '';
+
+    return inputType == 'checkbox' || inputType == 'radio' ? { value, checked: isChecked(target) } : { value };
+  } else if (type == 'submit') {
+    return getFormValues(target);
+  } else if (type == 'scroll') {
+    return { scrollTop: event.scrollTop || 0, scrollLeft: event.scrollLeft || 0 };
+  } else if ('key' in event || /^key/.test(type)) {
+    return { key: event.key || '', code: event.code || '', repeat: !!event.repeat, ...modifierKeys };
+  } else if ('clientX' in event || /^(click|dblclick|auxclick|contextmenu|mouse|pointer|wheel|drag|drop)/.test(type)) {
+    return { clientX: event.clientX || 0, clientY: event.clientY || 0, button: event.button || 0, ...('deltaY' in event || type == 'wheel' ? { deltaX: event.deltaX || 0, deltaY: event.deltaY || 0 } : {}), ...modifierKeys };
+  } else if (/^touch/.test(type)) {
+    return { touches: event.touches || [] };
+  }
+}
+
+export async function render(Body, options = {}) {
+  let testWindow = new TestWindow(Body, options);
+
+  await testWindow.flush();
+
+  return testWindow;
+}
+
+class TestWindow {
+
+  constructor(Body, options) {
+    let path = options.path || '/';
+    let viewportSize = options.viewportSize || [1280, 720];
+
+    // client function executions requested by the server through `window.clientExec`,
+    // which are recorded instead of run since they usually need a real browser to work
+    this.clientExecutions = [];
+
+    this.lastUploadId = 0;
+
+    this.document = new VirtualDocument({
+      path,
+      onRunClientFunction: (clientFunction, serverBindIds, args) => {
+        this.clientExecutions.push({ clientFunction, serverBindIds, args });
+      },
+      // HttpOnly cookies are redeemed directly, without the HTTP round trip
+      onCookieHandshake: (token) => consumeCookieHandshake(this.window.id, token)
+    });
+
+    let port = {
+      send: (buffer) => this.document.apply(buffer),
+      close: () => { }
+    };
+
+    let pageParams = {
+      windowId: nanoid(),
+      currentPath: path,
+      viewportSize,
+      readOffset: 0,
+      cookieString: options.cookie || ''
+    };
+
+    this.window = new Window(port, pageParams, { Head: options.Head || EmptyHead, Body, ErrorFallback: options.ErrorFallback });
+    this.window.onDestroy(() => { });
+
+    // errors of the rendered components, as the server's `onUnhandledError` hook gets them
+    if (options.onUnhandledError) {
+      this.window.onUnhandledError(options.onUnhandledError);
+    }
+  }
+
+  get head() {
+    return this.document.head;
+  }
+
+  get body() {
+    return this.document.body;
+  }
+
+  get path() {
+    return this.document.location;
+  }
+
+  get history() {
+    return this.document.history;
+  }
+
+  // the state object of the current history entry, as given to `navigate`
+  get historyState() {
+    return this.document.historyEntries[this.document.historyIndex].state;
+  }
+
+  get cookies() {
+    return this.document.cookies;
+  }
+
+  html() {
+    return this.document.body.innerHTML;
+  }
+
+  querySelector(selector) {
+    return this.document.body.querySelector(selector);
+  }
+
+  querySelectorAll(selector) {
+    return this.document.body.querySelectorAll(selector);
+  }
+
+  // returns the innermost element whose trimmed text content matches the string or regex, or null
+  queryByText(text) {
+    let matchesText = (el) => {
+      let content = el.textContent.trim();
+      return text instanceof RegExp ? text.test(content) : content == text;
+    };
+
+    let dig = (node) => {
+      for (let child of node.childNodes) {
+        if (child.nodeType != 1) {
+          continue;
+        }
+
+        // prefer the innermost match
+        let result = dig(child) || (matchesText(child) ? child : null);
+
+        if (result) {
+          return result;
+        }
+      }
+
+      return null;
+    };
+
+    return dig(this.document.body);
+  }
+
+  getByText(text) {
+    let el = this.queryByText(text);
+
+    if (!el) {
+      throw new Error(`Unable to find an element with the text: ${text}`);
+    }
+
+    return el;
+  }
+
+  // waits until the window has processed all of its pending input and work
+  async flush() {
+    do {
+      await new Promise(resolve => setImmediate(resolve));
+    } while (this.window.hasPendingWork || this.window.hasPendingInput);
+  }
+
+  async click(el, eventInit) {
+    return this.fireEvent(el, 'click', eventInit);
+  }
+
+  async input(el, value, eventInit) {
+    el.value = value;
+    return this.fireEvent(el, 'input', eventInit);
+  }
+
+  async fireEvent(target, eventName, eventInit = {}) {
+    let event = {
+      type: eventName,
+      target,
+      currentTarget: target,
+      defaultPrevented: false,
+      cancelBubble: false,
+      preventDefault() {
+        this.defaultPrevented = true;
+      },
+      stopPropagation() {
+        this.cancelBubble = true;
+      },
+      ...eventInit
+    };
+
+    // like the browser runtime, clicks are delegated: walk up from the target and run every
+    // click handler found until one of them prevents the default action.
+    if (eventName == 'click') {
+      let node = target;
+
+      while (node) {
+        let handler = node.eventHandlers && node.eventHandlers.get('click');
+
+        if (handler) {
+          event.currentTarget = node;
+          this._runEventHandler(handler, event);
+
+          if (event.defaultPrevented || event.cancelBubble) {
+            break;
+          }
+        }
+
+        node = node.parentNode;
+      }
+    } else {
+      let handler = target.eventHandlers.get(eventName);
+
+      if (handler) {
+        this._runEventHandler(handler, event);
+      }
+    }
+
+    await this.flush();
+
+    return event;
+  }
+
+  // uploads files through a file input's `useFileUpload` handler, chunk by chunk like the browser runtime.
+  // files are given as `{ name, type, content }`, with a string or Buffer content.
+  async upload(input, files) {
+    // `onChange` handlers are attached to the input event
+    let handler = [...input.eventHandlers.values()].find(handler => handler.clientFnId == UPLOAD_CLIENT_FUNCTION_ID);
+
+    if (!handler) {
+      throw new Error('The element has no file upload handler.');
+    }
+
+    let uploads = files.map(file => [++this.lastUploadId, file, Buffer.from(file.content || '')]);
+
+    this._sendEvent(handler.serverBindIds[0], {
+      files: uploads.map(([id, file, content]) => ({ id, name: file.name, size: content.length, type: file.type || '', lastModified: file.lastModified || 0 }))
+    });
+
+    await this.flush();
+
+    for (let [id, file, content] of uploads) {
+      let offset = 0;
+      let chunkCount = 0;
+
+      do {
+        await this._waitForUploadAck(id, chunkCount);
+
+        if (this.document.abortedUploadIds.has(id)) {
+          break;
+        }
+
+        let chunk = content.subarray(offset, offset + UPLOAD_CHUNK_SIZE);
+        let header = Buffer.alloc(6);
+
+        offset += chunk.length;
+
+        header.writeUint8(EVENT_UPLOAD_CHUNK, 0);
+        header.writeUint32LE(id, 1);
+        header.writeUint8(offset >= content.length ? 1 : 0, 5);
+
+        windowManager._enqueueMessage(this.window, Buffer.concat([header, chunk]));
+        chunkCount++;
+
+        await this.flush();
+      } while (offset < content.length);
+    }
+  }
+
+  // waits until the file's stream has been read far enough to send another chunk. a stream that isn't read
+  // would stall the upload in the browser, so it fails the upload here instead.
+  async _waitForUploadAck(id, chunkCount) {
+    let deadline = Date.now() + UPLOAD_ACK_TIMEOUT;
+
+    while (chunkCount - (this.document.uploadAcks.get(id) || 0) >= UPLOAD_WINDOW_SIZE && !this.document.abortedUploadIds.has(id)) {
+      if (Date.now() > deadline) {
+        throw new Error(`The stream of uploaded file ${id} isn't being read.`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 10));
+      await this.flush();
+    }
+  }
+
+  async back() {
+    return this.go(-1);
+  }
+
+  async forward() {
+    return this.go(1);
+  }
+
+  // moves through the history entries created by `navigate`, notifying the window like the browser's popstate handler
+  async go(delta) {
+    let entry = this.document.traverseHistory(delta);
+
+    if (!entry) {
+      throw new Error(`There's no history entry to go ${delta} from the current one.`);
+    }
+
+    let pathBuffer = Buffer.from(entry.path);
+    let stateBuffer = Buffer.from(entry.state === null ? '' : JSON.stringify(entry.state));
+    let buf = Buffer.alloc(3 + pathBuffer.length + 4 + stateBuffer.length);
+
+    buf.writeUint8(EVENT_BACKNAV, 0);
+    buf.writeUint16LE(pathBuffer.length, 1);
+    pathBuffer.copy(buf, 3);
+    buf.writeUint32LE(stateBuffer.length, 3 + pathBuffer.length);
+    stateBuffer.copy(buf, 3 + pathBuffer.length + 4);
+
+    windowManager._enqueueMessage(this.window, buf);
+
+    await this.flush();
+  }
+
+  async resize(width, height) {
+    let buf = Buffer.alloc(5);
+
+    buf.writeUint8(EVENT_VIEWPORT_UPDATE, 0);
+    buf.writeUint16LE(width, 1);
+    buf.writeUint16LE(height, 3);
+
+    windowManager._enqueueMessage(this.window, buf);
+
+    await this.flush();
+  }
+
+  destroy() {
+    this.window.destroy();
+  }
+
+  // debounce and throttle modifiers aren't simulated -- their handlers run right away
+  _runEventHandler(handler, event) {
+    if (handler.modifiers & MODIFIER_ONCE) {
+      if (handler.called) {
+        return;
+      }
+
+      handler.called = true;
+    }
+
+    if (handler.modifiers & MODIFIER_PREVENT_DEFAULT) {
+      event.preventDefault();
+    }
+
+    if (handler.modifiers & MODIFIER_STOP_PROPAGATION) {
+      event.stopPropagation();
+    }
+
+    let serverFunctions = handler.serverBindIds.map(bindId => {
+      return (data) => this._sendEvent(bindId, data);
+    });
+
+    // client function id 1 is the browser's built-in function that calls the server function with the
+    // event's default payload
+    if (handler.clientFnId == 1) {
+      serverFunctions[0](getEventPayload(event));
+      return;
+    }
+
+    let clientFunction = this.document.getClientFunction(handler.clientFnId);
+    let fn = new Function(clientFunction.argNames, clientFunction.body);
+
+    fn.call(serverFunctions.length ? { serverFunctions } : undefined, event);
+  }
+
+  _sendEvent(handlerId, data) {
+    let header = Buffer.alloc(3);
+
+    header.writeUint8(EVENT_COMMAND, 0);
+    header.writeUint16LE(handlerId, 1);
+
+    windowManager._enqueueMessage(this.window, Buffer.concat([header, encodeEventPayload(data)]));
+  }
+}
@@ -0,0 +1,165 @@
+import crypto from 'node:crypto';
+
+// Cookie attributes for window.setCookie, and the HTTP handshake used to set HttpOnly cookies.
+//
+// HttpOnly cookies can't be written through document.cookie, so for those the window sends the browser a
+// single-use token instead, which the browser exchanges for a Set-Cookie response by POSTing it to
+// COOKIE_ENDPOINT_PATH. The window id is sent along so that clustered servers route the request to the worker
+// owning the window.
+
+export const COOKIE_ENDPOINT_PATH = '/__seniman/cookie';
+
+// how long the browser has to redeem a handshake token
+const HANDSHAKE_TTL = 30000;
+
+const SAME_SITE_VALUES = {
+  strict: 'Strict',
+  lax: 'Lax',
+  none: 'None'
+};
+
+// token -> { windowId, setCookieHeader, expiresAt }
+let handshakes = new Map();
+
+function validateCookieToken(name, value) {
+  if (/[;\r\n]/.test(value)) {
+    throw new Error(`Invalid cookie ${name}: ${value}`);
+  }
+}
+
+// options: { path, domain, maxAge (in seconds), expires (Date or timestamp), secure, sameSite, httpOnly }
+export function serializeCookieAttributes(options = {}) {
+  let path = options.path || '/';
+
+  validateCookieToken('path', path);
+
+  let attributes = [`Path=${path}`];
+
+  if (options.domain) {
+    validateCookieToken('domain', options.domain);
+    attributes.push(`Domain=${options.domain}`);
+  }
+
+  if (options.maxAge !== undefined) {
+    attributes.push(`Max-Age=${Math.floor(options.maxAge)}`);
+  }
+
+  if (options.expires !== undefined) {
+    attributes.push(`Expires=${new Date(options.expires).toUTCString()}`);
+  }
+
+  if (options.secure) {
+    attributes.push('Secure');
+  }
+
+  if (options.sameSite) {
+    let sameSite = SAME_SITE_VALUES[options.sameSite.toLowerCase()];
+
+    if (!sameSite) {
+      throw new Error(`Invalid cookie sameSite option: ${options.sameSite}. Expected 'strict', 'lax' or 'none'.`);
+    }
+
+    // browsers reject SameSite=None cookies that aren't Secure
+    if (sameSite == 'None' && !options.secure) {
+      throw new Error('Cookies with sameSite set to \'none\' need the secure option.');
+    }
+
+    attributes.push(`SameSite=${sameSite}`);
+  }
+
+  if (options.httpOnly) {
+    attributes.push('HttpOnly');
+  }
+
+  return attributes.join('; ');
+}
+
+export function validateCookie(key, value) {
+  if (!key || /[=;,\s]/.test(key)) {
+    throw new Error(`Invalid cookie name: ${key}`);
+  }
+
+  validateCookieToken('value', value);
+}
+
+export function serializeCookie(key, value, options) {
+  validateCookie(key, value);
+
+  return `${key}=${value}; ${serializeCookieAttributes(options)}`;
+}
+
+// returns the value of the request's cookie with the given name, or null
+export function getRequestCookie(req, name) {
+  let cookies = (req.headers.cookie || '').split(';');
+
+  for (let cookie of cookies) {
+    let separatorIndex = cookie.indexOf('=');
+
+    if (separatorIndex > -1 && cookie.substring(0, separatorIndex).trim() == name) {
+      return cookie.substring(separatorIndex + 1).trim();
+    }
+  }
+
+  return null;
+}
+
+// whether setting a cookie with these options removes it instead
+export function isCookieRemoval(options = {}) {
+  return (options.maxAge !== undefined && options.maxAge <= 0) ||
+    (options.expires !== undefined && new Date(options.expires).getTime() <= Date.now());
+}
+
+export function createCookieHandshake(windowId, setCookieHeader) {
+  let now = Date.now();
+
+  for (let [token, handshake] of handshakes) {
+    if (handshake.expiresAt <= now) {
+      handshakes.delete(token);
+    }
+  }
+
+  let token = crypto.randomBytes(18).toString('base64url');
+
+  handshakes.set(token, { windowId, setCookieHeader, expiresAt: now + HANDSHAKE_TTL });
+
+  return token;
+}
+
+// returns the Set-Cookie header of the handshake, or null if the token is unknown, expired or was issued to
+// another window. tokens can only be redeemed once.
+export function consumeCookieHandshake(windowId, token) {
+  let handshake = handshakes.get(token);
+
+  if (!handshake) {
+    return null;
+  }
+
+  handshakes.delete(token);
+
+  if (handshake.windowId != windowId || handshake.expiresAt <= Date.now()) {
+    return null;
+  }
+
+  return handshake.setCookieHeader;
+}
+
+export function isCookieRequest(req) {
+  return req.url.split('?')[0] == COOKIE_ENDPOINT_PATH;
+}
+
+export function handleCookieRequest(req, res) {
+  let searchParams = new URLSearchParams(req.url.split('?')[1]);
+  let setCookieHeader = req.method == 'POST' ? consumeCookieHandshake(searchParams.get('wi'), searchParams.get('t')) : null;
+
+  if (!setCookieHeader) {
+    res.writeHead(403, { 'Cache-Control': 'no-store' });
+    res.end();
+    return;
+  }
+
+  res.writeHead(204, {
+    'Set-Cookie': setCookieHeader,
+    'Cache-Control': 'no-store'
+  });
+  res.end();
+}
@@ -26,6 +26,7 @@ export function ErrorViewer(props) {
         <div>
           <div style={{ 'font-size': '24px' }}>{props.name}</div>
           <div style={{ 'font-size': '15px', 'margin-top': '5px' }}>{props.message}</div>
+          {props.reset ? <button style={{ 'margin-top': '10px' }} onClick={props.reset}>Try again</button> : null}
         </div>
         <div style={{ border: '1px solid #ccc', 'margin-top': '10px', 'padding': '10px' }}>
           {props.stack.map(line => {
@@ -48,9 +49,58 @@ export function ErrorViewer(props) {
   </div >
 }
 
+// lists the files that failed to compile -- one at a time, along with its code frame
+export function SyntaxErrorViewer(props) {
+  let [getIndex, setIndex] = useState(0);
+  let errors = props.errors;
+
+  return <div style={{ padding: '20px' }}>
+    {() => {
+      if (process.env.NODE_ENV == 'production') {
+        return <div>Error</div>;
+      }
+
+      let index = getIndex();
+      let err = errors[index];
+      let title = `${errors.length == 1 ? '1 file' : errors.length + ' files'} failed to compile`;
+      let location = err.file + (err.lineNumber ? ` at line ${err.lineNumber}, column ${err.column}` : '');
+
+      return <div style={{ 'font-family': 'monospace' }}>
+        <div style={{ display: 'flex', 'justify-content': 'space-between', 'align-items': 'center' }}>
+          <div style={{ 'font-size': '24px' }}>{title}</div>
+          <div>
+            <button disabled={index == 0} onClick={() => setIndex(i => i - 1)}>Previous</button>
+            <span style={{ margin: '0 10px' }}>{`${index + 1} of ${errors.length}`}</span>
+            <button disabled={index == errors.length - 1} onClick={() => setIndex(i => i + 1)}>Next</button>
+          </div>
+        </div>
+        <div style={{ 'margin-top': '10px' }}>
+          {errors.map((fileError, fileIndex) => {
+            return <div style={{ cursor: 'pointer', color: fileIndex == index ? '#000' : '#888', 'font-size': '13px' }} onClick={() => setIndex(fileIndex)}>
+              {fileError.file}
+            </div>;
+          })}
+        </div>
+        <div style={{ border: '1px solid #ccc', 'margin-top': '10px', 'padding': '10px' }}>
+          <div style={{ 'font-size': '15px' }}>{`${err.name}: ${err.message}`}</div>
+          <div style={{ color: '#666', 'margin-top': '5px', 'overflow-wrap': 'break-word' }}>{location}</div>
+          <div style={{ background: '#eee', padding: '10px', 'margin-top': '10px', 'white-space': 'pre', 'overflow-x': 'auto', 'font-size': '13px' }}>
+            {err.codeFrame.split('\n').map(line => {
+              // the error's line is marked with '>' in the code frame, followed by a line pointing at its column
+              let isErrorLine = line.startsWith('>') || /^\s+\|\s*\^/.test(line);
+
+              return <div style={{ color: isErrorLine ? '#c00' : '#333' }}>{line}</div>;
+            })}
+          </div>
+        </div>
+      </div>;
+    }}
+  </div>;
+}
+
 function DisconnectionPrompt() {
   return <div id='disconn' style={{ display: 'none', position: 'fixed', bottom: '10%', padding: '10px', 'font-size': '15px', background: '#eee', border: '1px solid #ccc', left: 'calc(50% - 60px)' }}>
-    Disconnected <button onclick="location.reload();">Reload</button>
+    Disconnected <button onClick={$c(() => location.reload())}>Reload</button>
   </div>;
 }
 
@@ -60,11 +110,21 @@ function ReconnectionPrompt() {
   </div>;
 }
 
+function DefaultErrorFallback(props) {
+  return <div style={{ padding: '20px' }}>
+    Something went wrong.
+    <button style={{ 'margin-left': '10px' }} onClick={props.reset}>Try again</button>
+  </div>;
+}
+
 export function ErrorHandler(props) {
   let [runtimeError, set_runtimeError] = useState(null);
 
+  // renders the children again, from scratch
+  let reset = () => set_runtimeError(null);
+
   onError((err) => {
-    console.error(err);
+    props.onError(err);
     set_runtimeError(err);
   });
 
@@ -74,8 +134,14 @@ export function ErrorHandler(props) {
 
       if (_runtimeError) {
         let err = _runtimeError;
+
+        if (process.env.NODE_ENV == 'production') {
+          let Fallback = props.Fallback || DefaultErrorFallback;
+          return <Fallback error={err} reset={reset} />;
+        }
+
         let stack = parse(err.stack);
-        return <ErrorViewer name={err.name} message={err.message} stack={stack} />;
+        return <ErrorViewer name={err.name} message={err.message} stack={stack} reset={reset} />;
       } else {
         return props.children;
       }
@@ -0,0 +1,51 @@
+// Event modifiers, applied by the browser runtime before an event handler runs:
+//
+// <input onInput={withModifiers(search, { debounce: 300 })} />
+// <form onSubmit={withModifiers(save, { preventDefault: true })}>
+//
+// The handler is either a server function -- called with the event's default payload -- or a `$c` client
+// function. The modifiers are sent along with ATTACH_EVENT_V2 as a u8 of flags, followed by a u16 delay in
+// milliseconds when debouncing or throttling.
+
+export let MODIFIER_PREVENT_DEFAULT = 1;
+export let MODIFIER_STOP_PROPAGATION = 2;
+export let MODIFIER_ONCE = 4;
+export let MODIFIER_DEBOUNCE = 8;
+export let MODIFIER_THROTTLE = 16;
+
+let MAX_DELAY = 0xffff;
+
+export function withModifiers(handler, modifiers) {
+  if (modifiers.debounce && modifiers.throttle) {
+    throw new Error('An event handler can either be debounced or throttled, not both.');
+  }
+
+  let delay = modifiers.debounce || modifiers.throttle || 0;
+
+  if (delay < 0 || delay > MAX_DELAY) {
+    throw new Error(`Event handler delays must be between 0 and ${MAX_DELAY}ms.`);
+  }
+
+  // server functions are called through the browser's built-in client function 1
+  let clientFnSpec = handler instanceof Function ? { clientFnId: 1, serverBindFns: [handler] } : handler;
+
+  return {
+    ...clientFnSpec,
+    modifiers: { ...clientFnSpec.modifiers, ...modifiers }
+  };
+}
+
+// returns the [flags, delay] of the modifiers
+export function encodeEventModifiers(modifiers) {
+  if (!modifiers) {
+    return [0, 0];
+  }
+
+  let flags = (modifiers.preventDefault ? MODIFIER_PREVENT_DEFAULT : 0) |
+    (modifiers.stopPropagation ? MODIFIER_STOP_PROPAGATION : 0) |
+    (modifiers.once ? MODIFIER_ONCE : 0) |
+    (modifiers.debounce ? MODIFIER_DEBOUNCE : 0) |
+    (modifiers.throttle ? MODIFIER_THROTTLE : 0);
+
+  return [flags, modifiers.debounce || modifiers.throttle || 0];
+}
@@ -0,0 +1,146 @@
+import { Buffer } from 'node:buffer';
+
+// Binary encoding of the data sent along with EVENT_COMMAND.
+//
+// The payload is a tagged value. Numbers, strings, booleans, null and flat objects of those are encoded
+// directly (the most common shapes for high-frequency events like input and scroll), while anything else
+// falls back to JSON. String and JSON lengths are u32, so payloads aren't limited to 64KB. Like the rest of
+// the browser-to-server messages, multi-byte values are little-endian.
+//
+// NONE:    [u8 tag]
+// NUMBER:  [u8 tag][f64 value]
+// STRING:  [u8 tag][u32 length][utf8 bytes]
+// TRUE, FALSE, NULL: [u8 tag]
+// OBJECT:  [u8 tag][u8 key count] followed by ([u8 key length][utf8 key bytes][tagged primitive value]) per key
+// JSON:    [u8 tag][u32 length][utf8 JSON bytes]
+
+let PAYLOAD_NONE = 0;
+let PAYLOAD_NUMBER = 1;
+let PAYLOAD_STRING = 2;
+let PAYLOAD_TRUE = 3;
+let PAYLOAD_FALSE = 4;
+let PAYLOAD_NULL = 5;
+let PAYLOAD_OBJECT = 6;
+let PAYLOAD_JSON = 7;
+
+// objects only hold primitives, which also keeps a crafted payload from nesting them deep enough to overflow the
+// stack
+let MAX_OBJECT_DEPTH = 1;
+
+// returns the decoded value and the offset right after it. throws on a malformed payload.
+function decodeValue(buffer, offset, depth) {
+  let tag = buffer.readUint8(offset++);
+
+  switch (tag) {
+    case PAYLOAD_NONE:
+      // handlers have always received an empty string when there's no data
+      return ['', offset];
+    case PAYLOAD_NUMBER:
+      return [buffer.readDoubleLE(offset), offset + 8];
+    case PAYLOAD_STRING:
+    case PAYLOAD_JSON: {
+      let length = buffer.readUint32LE(offset);
+      let start = offset + 4;
+
+      if (start + length > buffer.length) {
+        throw new Error('Truncated event payload');
+      }
+
+      let string = buffer.toString('utf8', start, start + length);
+
+      return [tag == PAYLOAD_JSON ? JSON.parse(string) : string, start + length];
+    }
+    case PAYLOAD_TRUE:
+      return [true, offset];
+    case PAYLOAD_FALSE:
+      return [false, offset];
+    case PAYLOAD_NULL:
+      return [null, offset];
+    case PAYLOAD_OBJECT: {
+      if (depth >= MAX_OBJECT_DEPTH) {
+        throw new Error('Event payload objects can\'t be nested');
+      }
+
+      let keyCount = buffer.readUint8(offset++);
+      let object = {};
+
+      for (let i = 0; i < keyCount; i++) {
+        let keyLength = buffer.readUint8(offset++);
+
+        if (offset + keyLength > buffer.length) {
+          throw new Error('Truncated event payload');
+        }
+
+        let key = buffer.toString('utf8', offset, offset + keyLength);
+        let value;
+
+        [value, offset] = decodeValue(buffer, offset + keyLength, depth + 1);
+
+        // the keys come from the client: a `__proto__` key is set as a plain property rather than the prototype
+        Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+      }
+
+      return [object, offset];
+    }
+    default:
+      throw new Error(`Invalid event payload tag: ${tag}`);
+  }
+}
+
+export function decodeEventPayload(buffer, offset) {
+  return decodeValue(buffer, offset, 0)[0];
+}
+
+function encodePrimitive(value, parts) {
+  let type = typeof value;
+
+  if (type == 'number') {
+    let buf = Buffer.alloc(9);
+    buf.writeUint8(PAYLOAD_NUMBER, 0);
+    buf.writeDoubleLE(value, 1);
+    parts.push(buf);
+  } else if (type == 'string') {
+    let bytes = Buffer.from(value);
+    let header = Buffer.alloc(5);
+    header.writeUint8(PAYLOAD_STRING, 0);
+    header.writeUint32LE(bytes.length, 1);
+    parts.push(header, bytes);
+  } else if (type == 'boolean') {
+    parts.push(Buffer.from([value ? PAYLOAD_TRUE : PAYLOAD_FALSE]));
+  } else if (value === null) {
+    parts.push(Buffer.from([PAYLOAD_NULL]));
+  } else {
+    return false;
+  }
+
+  return true;
+}
+
+// the same encoding the browser runtime does, for sending events from outside the browser (i.e. seniman/testing)
+export function encodeEventPayload(data) {
+  let parts = [];
+
+  if (data === undefined) {
+    parts.push(Buffer.from([PAYLOAD_NONE]));
+  } else if (!encodePrimitive(data, parts)) {
+    let keys = data.constructor == Object ? Object.keys(data) : null;
+    let isFlatObject = keys && keys.length < 256 && keys.every(key => {
+      let keyBytes = Buffer.from(key);
+      parts.push(Buffer.from([keyBytes.length]), keyBytes);
+
+      return keyBytes.length < 256 && encodePrimitive(data[key], parts);
+    });
+
+    if (isFlatObject) {
+      parts.unshift(Buffer.from([PAYLOAD_OBJECT, keys.length]));
+    } else {
+      let bytes = Buffer.from(JSON.stringify(data));
+      let header = Buffer.alloc(5);
+      header.writeUint8(PAYLOAD_JSON, 0);
+      header.writeUint32LE(bytes.length, 1);
+      parts = [header, bytes];
+    }
+  }
+
+  return Buffer.concat(parts);
+}
@@ -0,0 +1,73 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+/**
+ * Stores snapshots of hibernated windows as JSON files in a local directory.
+ *
+ * A hibernation store can be any object implementing the same async methods:
+ * `save(windowId, snapshot)`, `load(windowId)` resolving to the snapshot or null, and `delete(windowId)`.
+ * Optionally, `prune(maxAge)` is called periodically to remove snapshots that can no longer be rehydrated.
+ */
+export class FileHibernationStore {
+
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(os.tmpdir(), 'seniman-hibernation');
+    this.dirCreated = false;
+  }
+
+  _getFilePath(windowId) {
+    // window ids come straight from the connection URL, so make sure they can't escape the directory
+    if (!/^[\w-]{21}$/.test(windowId)) {
+      throw new Error(`Invalid window id: ${windowId}`);
+    }
+
+    return path.join(this.dir, windowId + '.json');
+  }
+
+  async save(windowId, snapshot) {
+    if (!this.dirCreated) {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      this.dirCreated = true;
+    }
+
+    await fs.promises.writeFile(this._getFilePath(windowId), JSON.stringify(snapshot));
+  }
+
+  async load(windowId) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this._getFilePath(windowId), 'utf8'));
+    } catch (e) {
+      if (e.code == 'ENOENT') {
+        return null;
+      }
+
+      throw e;
+    }
+  }
+
+  async delete(windowId) {
+    await fs.promises.rm(this._getFilePath(windowId), { force: true });
+  }
+
+  async prune(maxAge) {
+    let fileNames;
+
+    try {
+      fileNames = await fs.promises.readdir(this.dir);
+    } catch (e) {
+      return;
+    }
+
+    let now = Date.now();
+
+    for (let fileName of fileNames) {
+      let filePath = path.join(this.dir, fileName);
+      let stat = await fs.promises.stat(filePath).catch(() => null);
+
+      if (stat && now - stat.mtimeMs > maxAge) {
+        await fs.promises.rm(filePath, { force: true });
+      }
+    }
+  }
+}
@@ -0,0 +1,51 @@
+import crypto from 'node:crypto';
+import { getRequestCookie } from './cookies.js';
+
+// Page tokens are embedded in every served page when a `secret` is configured, and have to be presented in the
+// WebSocket upgrade query (`pt`) for the connection to be accepted -- so only pages served by this app can open
+// windows against it. A token is its creation time and a random nonce, signed with the secret.
+//
+// Tokens are also bound to the browser they're served to: the signature covers a random binding id kept in an
+// HttpOnly, SameSite cookie set along with the page. Browsers don't send SameSite cookies with cross-site
+// WebSocket connections, so a token lifted from a served page can't be used to connect from another site.
+
+export const PAGE_BINDING_COOKIE_NAME = 'seniman.pb';
+
+function sign(secret, payload, bindingId) {
+  return crypto.createHmac('sha256', secret).update('page:' + bindingId + ':' + payload).digest('base64url');
+}
+
+// returns the request's binding id, or null if it doesn't have one yet
+export function getPageBindingId(req) {
+  let bindingId = getRequestCookie(req, PAGE_BINDING_COOKIE_NAME);
+
+  return bindingId && /^[\w-]{24}$/.test(bindingId) ? bindingId : null;
+}
+
+export function createPageBindingId() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+export function createPageToken(secret, bindingId) {
+  let payload = Date.now().toString(36) + '.' + crypto.randomBytes(9).toString('base64url');
+
+  return payload + '.' + sign(secret, payload, bindingId);
+}
+
+// maxAge (in milliseconds) is optional -- pass it to also reject tokens created too long ago
+export function verifyPageToken(secret, token, bindingId, maxAge) {
+  if (!token || !bindingId) {
+    return false;
+  }
+
+  let separatorIndex = token.lastIndexOf('.');
+  let payload = token.substring(0, separatorIndex);
+  let signature = Buffer.from(token.substring(separatorIndex + 1));
+  let expectedSignature = Buffer.from(sign(secret, payload, bindingId));
+
+  if (separatorIndex == -1 || signature.length != expectedSignature.length || !crypto.timingSafeEqual(signature, expectedSignature)) {
+    return false;
+  }
+
+  return !maxAge || Date.now() - parseInt(payload.split('.')[0], 36) <= maxAge;
+}
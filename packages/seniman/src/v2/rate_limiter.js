@@ -0,0 +1,71 @@
+import { FastRateLimit } from 'fast-ratelimit';
+
+/**
+ * Rate limiting of window creation per client IP and of input messages per window, configured through
+ * the `rateLimit` entrypoint option:
+ *
+ * rateLimit: {
+ *   windowCreation: { threshold: 10, ttl: 60 }, // at most 10 new windows per IP per minute
+ *   input: { threshold: 100, ttl: 1 },         // at most 100 input messages per window per second
+ *   trustProxy: 1,                             // the number of proxies in front of the app (or true for 1), to
+ *                                              // read the client IP from x-forwarded-for
+ *   action: 'drop',                            // what to do with excess input: 'drop', 'delay' or 'disconnect'
+ *   onViolation: ({ type, ip, windowId, action }) => { }
+ * }
+ *
+ * Window creation over the limit is always refused. With server-side rendering, rendering a page counts as a window
+ * creation of its own, besides the window the browser then connects to -- and so does rehydrating a hibernated window.
+ *
+ * Each proxy appends the address it got the request from to x-forwarded-for, so the client IP is the entry added
+ * by the outermost trusted proxy -- the entries to its left are whatever the client sent, and can't be trusted.
+ */
+export class RateLimiter {
+
+  constructor(options) {
+    this.trustedProxyCount = options.trustProxy === true ? 1 : (parseInt(options.trustProxy) || 0);
+    this.action = options.action || 'drop';
+    this.onViolation = options.onViolation || defaultViolationHandler;
+
+    this.windowCreationLimiter = options.windowCreation ? new FastRateLimit(options.windowCreation) : null;
+    this.inputLimiter = options.input ? new FastRateLimit(options.input) : null;
+
+    if (options.input) {
+      // average time for an input token to become available, used to pace delayed input
+      this.inputDelay = Math.ceil(options.input.ttl * 1000 / options.input.threshold);
+      this.maxDelayedInputCount = options.input.threshold;
+    }
+  }
+
+  getClientIp(req) {
+    let forwardedFor = req.headers['x-forwarded-for'];
+
+    if (this.trustedProxyCount && forwardedFor) {
+      let addresses = forwardedFor.split(',');
+
+      return addresses[Math.max(addresses.length - this.trustedProxyCount, 0)].trim();
+    }
+
+    return req.socket.remoteAddress;
+  }
+
+  consumeWindowCreation(ip) {
+    if (!this.windowCreationLimiter || this.windowCreationLimiter.consumeSync(ip)) {
+      return true;
+    }
+
+    this.onViolation({ type: 'windowCreation', ip, windowId: null, action: 'disconnect' });
+    return false;
+  }
+
+  consumeInput(window) {
+    return !this.inputLimiter || this.inputLimiter.consumeSync(window.id);
+  }
+
+  reportInputViolation(window, action) {
+    this.onViolation({ type: 'input', ip: window.ip, windowId: window.id, action });
+  }
+}
+
+function defaultViolationHandler({ type, ip, windowId, action }) {
+  console.warn(`Rate limit exceeded (${type}) by ${ip}${windowId ? ` in window ${windowId}` : ''}, action: ${action}`);
+}
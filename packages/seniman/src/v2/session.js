@@ -0,0 +1,196 @@
+import crypto from 'node:crypto';
+import { useWindow } from './window.js';
+import { getRequestCookie } from './cookies.js';
+
+/**
+ * Cookie-based sessions, enabled with the `session` entrypoint option along with a `secret` to sign the session
+ * cookie with:
+ *
+ * createServer({
+ *   Body,
+ *   secret: process.env.SESSION_SECRET,
+ *   session: {
+ *     store: new MemorySessionStore(), // the default
+ *     cookieName: 'seniman.sid',       // the default
+ *     maxAge: 7 * 24 * 60 * 60         // in seconds, the default
+ *   }
+ * });
+ *
+ * A session is loaded for every new connection (and every server-rendered page). Visitors without a valid session
+ * cookie get a new session, whose HttpOnly cookie is set through the window once it's created. New sessions are only
+ * kept in memory until their cookie is sent or data is written to them, so requests that never get a cookie don't
+ * fill up the store. Components access the session through `useSession()`.
+ *
+ * A session store can be any object implementing the same async methods: `get(sessionId)` resolving to the
+ * session data or null, `set(sessionId, data, maxAge)` and `delete(sessionId)`.
+ */
+
+let DEFAULT_COOKIE_NAME = 'seniman.sid';
+let DEFAULT_MAX_AGE = 7 * 24 * 60 * 60;
+
+export class MemorySessionStore {
+
+  constructor() {
+    // session id -> { data, expiresAt }
+    this.sessions = new Map();
+
+    setInterval(() => this.prune(), 60 * 1000).unref();
+  }
+
+  async get(sessionId) {
+    let entry = this.sessions.get(sessionId);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return null;
+    }
+
+    return entry.data;
+  }
+
+  async set(sessionId, data, maxAge) {
+    this.sessions.set(sessionId, { data, expiresAt: Date.now() + maxAge * 1000 });
+  }
+
+  async delete(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  prune() {
+    let now = Date.now();
+
+    for (let [sessionId, entry] of this.sessions) {
+      if (entry.expiresAt <= now) {
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+}
+
+export class Session {
+
+  constructor(sessionManager, id, data, isNew) {
+    this.sessionManager = sessionManager;
+    this.id = id;
+    this.data = data;
+
+    // new sessions don't have their cookie set yet, and aren't in the store until they're saved
+    this.isNew = isNew;
+    this.isSaved = !isNew;
+  }
+
+  get(key) {
+    return this.data[key];
+  }
+
+  set(key, value) {
+    this.data[key] = value;
+    this._save();
+  }
+
+  delete(key) {
+    delete this.data[key];
+    this._save();
+  }
+
+  // removes the session's data from the store. the next connection gets a new session.
+  destroy() {
+    this.data = {};
+    this.sessionManager.store.delete(this.id).catch(e => console.error('Failed to delete session', this.id, e));
+  }
+
+  // returns the cookie of a new session to be sent to the browser, saving the session so the cookie can be
+  // resolved back to it
+  issueCookie() {
+    this.isNew = false;
+
+    if (!this.isSaved) {
+      this._save();
+    }
+
+    return this.getCookie();
+  }
+
+  getCookie() {
+    return {
+      name: this.sessionManager.cookieName,
+      value: this.sessionManager.getCookieValue(this),
+      options: this.sessionManager.getCookieOptions()
+    };
+  }
+
+  _save() {
+    this.isSaved = true;
+    this.sessionManager.save(this).catch(e => console.error('Failed to save session', this.id, e));
+  }
+}
+
+export class SessionManager {
+
+  constructor(options, secret) {
+    if (!secret) {
+      throw new Error('The session option requires a `secret` entrypoint option to sign session cookies with.');
+    }
+
+    if (options === true) {
+      options = {};
+    }
+
+    this.secret = secret;
+    this.store = options.store || new MemorySessionStore();
+    this.cookieName = options.cookieName || DEFAULT_COOKIE_NAME;
+    this.maxAge = options.maxAge || DEFAULT_MAX_AGE;
+  }
+
+  _sign(sessionId) {
+    return crypto.createHmac('sha256', this.secret).update(sessionId).digest('base64url');
+  }
+
+  // returns the session id of a signed cookie value, or null if its signature doesn't match
+  _unsign(cookieValue) {
+    let separatorIndex = cookieValue.lastIndexOf('.');
+
+    if (separatorIndex == -1) {
+      return null;
+    }
+
+    let sessionId = cookieValue.substring(0, separatorIndex);
+    let signature = Buffer.from(cookieValue.substring(separatorIndex + 1));
+    let expectedSignature = Buffer.from(this._sign(sessionId));
+
+    if (signature.length != expectedSignature.length || !crypto.timingSafeEqual(signature, expectedSignature)) {
+      return null;
+    }
+
+    return sessionId;
+  }
+
+  // loads the session of the request's session cookie, or creates a new one
+  async load(req) {
+    let cookieValue = getRequestCookie(req, this.cookieName);
+    let sessionId = cookieValue && this._unsign(cookieValue);
+    let data = sessionId && await this.store.get(sessionId);
+
+    if (data) {
+      return new Session(this, sessionId, data, false);
+    }
+
+    // never adopt a session id the store doesn't know about
+    return new Session(this, crypto.randomBytes(24).toString('base64url'), {}, true);
+  }
+
+  save(session) {
+    return this.store.set(session.id, session.data, this.maxAge);
+  }
+
+  getCookieValue(session) {
+    return session.id + '.' + this._sign(session.id);
+  }
+
+  getCookieOptions() {
+    return { httpOnly: true, sameSite: 'lax', maxAge: this.maxAge };
+  }
+}
+
+export function useSession() {
+  return useWindow().session;
+}
@@ -13,7 +13,9 @@ let UntrackActive = false;
 
 let ERROR = null;
 
-export function processWorkQueue(window, workQueue) {
+// `shouldYield` is checked after every executed node -- if it returns true, processing stops and the rest
+// of the queue is left for the next call.
+export function processWorkQueue(window, workQueue, shouldYield) {
   setActiveWindow(window);
 
   // time perf of loop
@@ -26,6 +28,10 @@ export function processWorkQueue(window, workQueue) {
     executeNode(window, node);
 
     i++;
+
+    if (shouldYield && shouldYield()) {
+      break;
+    }
   }
 
   let end = performance.now();
@@ -93,7 +99,19 @@ function createId() {
   return _id++;
 }
 
-export function useState(initialValue) {
+export function useState(initialValue, options) {
+
+  // persisted states are saved along with their window when it's hibernated, and restored when it's rehydrated.
+  // their values need to be JSON-serializable.
+  let persistKey = options && options.persist;
+
+  if (persistKey) {
+    if (!ActiveWindow) {
+      throw new Error(`useState(..., { persist: '${persistKey}' }) can only be called while rendering a window, as its state is saved along with the window.`);
+    }
+
+    initialValue = ActiveWindow.restorePersistedState(persistKey, initialValue);
+  }
 
   let state = {
     id: createId(),
@@ -103,6 +121,16 @@ export function useState(initialValue) {
     observerSlots: []
   };
 
+  if (persistKey) {
+    let window = ActiveWindow;
+
+    window.registerPersistedState(persistKey, state);
+
+    if (ActiveNode) {
+      onCleanup(() => window.unregisterPersistedState(persistKey, state));
+    }
+  }
+
   function getState() {
     registerDependency(state);
 
@@ -275,13 +303,58 @@ export function useDisposableEffect(fn, value, window) {
   return () => untrack(() => cleanNode(effect));
 }
 
+// runs fn synchronously in a new scope that isn't owned by the active node: the scope survives the active node's
+// re-execution, and is only cleaned up when the dispose function passed to fn is called. the active node is still
+// its parent for context and error handler lookups.
+export function createRoot(fn) {
+  let root = {
+    id: createId(),
+    type: ROOT,
+    value: null,
+    fn: null,
+    depth: !ActiveNode ? 0 : ActiveNode.depth + 1,
+
+    updateState: NODE_FRESH,
+    updatedAt: null,
+
+    parent: ActiveNode,
+    children: [],
+
+    sources: [],
+    sourceSlots: [],
+
+    cleanups: null,
+    context: null
+  };
+
+  let dispose = () => untrack(() => cleanNode(root));
+
+  let oldNode = ActiveNode;
+  let oldUntrackActive = UntrackActive;
+
+  // the root has no function to re-execute, so it can't track any dependency
+  ActiveNode = root;
+  UntrackActive = true;
+
+  try {
+    return fn(dispose);
+  } finally {
+    ActiveNode = oldNode;
+    UntrackActive = oldUntrackActive;
+  }
+}
+
 export function untrack(fn) {
+  let prevUntrackActive = UntrackActive;
 
   UntrackActive = true;
-  let val = fn();
-  UntrackActive = false;
 
-  return val;
+  // restored even if fn throws (i.e. a component failing to render), or every read after it would go untracked
+  try {
+    return fn();
+  } finally {
+    UntrackActive = prevUntrackActive;
+  }
 }
 
 export function useEffect(fn, value) {
@@ -292,6 +365,7 @@ export function useEffect(fn, value) {
 
 const MEMO = 5;
 const EFFECT = 6;
+const ROOT = 7;
 
 export function useMemo(fn) {
 
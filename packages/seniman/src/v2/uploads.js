@@ -0,0 +1,173 @@
+import { ReadableStream } from 'node:stream/web';
+import { useState, onCleanup, getActiveWindow } from './state.js';
+
+// File uploads over the window's WebSocket.
+//
+// The file input's change event is handled by the browser's built-in client function 2, which sends the
+// selected files' metadata -- `{ files: [{ id, name, size, type, lastModified }] }` -- to the upload's server
+// function as a regular EVENT_COMMAND, and then streams each file's content in chunks:
+//
+// UPLOAD_CHUNK: [u8 opcode][u32 file id][u8 flags (1: last chunk)][bytes]
+//
+// File ids are assigned by the browser, and are unique within its window. The server can tell the browser to
+// stop sending a file (i.e. when it's over the size limit, or its stream was cancelled) with ABORT_UPLOAD.
+//
+// The browser only sends UPLOAD_WINDOW_SIZE chunks of a file ahead of what its stream's consumer has read.
+// The server acknowledges the chunks as they're read with ACK_UPLOAD -- [u32 file id][u32 read chunk count] --
+// and aborts the uploads of clients that don't wait for it, so a slow consumer can't make it buffer the file.
+
+let DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+let DEFAULT_MAX_FILES = 10;
+
+let UPLOAD_WINDOW_SIZE = 16;
+
+let UPLOAD_CLIENT_FUNCTION_ID = 2;
+
+function toFileInfo(file) {
+  return {
+    id: file.id,
+    name: String(file.name),
+    size: Number(file.size),
+    type: String(file.type || ''),
+    lastModified: Number(file.lastModified) || 0
+  };
+}
+
+export function useFileUpload(options = {}) {
+  let window = getActiveWindow();
+  let maxFileSize = options.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+  let maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+
+  // without a consumer, the files' content would have nowhere to go
+  if (!options.onFile) {
+    throw new Error('useFileUpload needs an `onFile` option to receive the uploaded files.');
+  }
+
+  // the files of the latest selections, with their upload status: uploading, done, rejected or error
+  let [files, setFiles] = useState([]);
+
+  let activeFileIds = new Set();
+
+  let updateFile = (id, changes) => {
+    setFiles(files => files.map(file => file.id == id ? { ...file, ...changes } : file));
+  };
+
+  let startUpload = (fileInfo) => {
+    let id = fileInfo.id;
+    let loaded = 0;
+    let receivedChunkCount = 0;
+    let readChunkCount = 0;
+    let controller;
+
+    let finish = (changes) => {
+      activeFileIds.delete(id);
+      updateFile(id, changes);
+    };
+
+    let stream = new ReadableStream({
+      start(_controller) {
+        controller = _controller;
+      },
+
+      // the consumer has read the queued chunks: let the browser send more
+      pull() {
+        if (readChunkCount < receivedChunkCount && activeFileIds.has(id)) {
+          readChunkCount = receivedChunkCount;
+          window._ackUpload(id, readChunkCount);
+        }
+      },
+
+      // the consumer doesn't want the rest of the file
+      cancel() {
+        if (activeFileIds.has(id)) {
+          window._abortUpload(id);
+          finish({ status: 'error', error: 'The upload was cancelled.' });
+        }
+      }
+    });
+
+    activeFileIds.add(id);
+
+    window._registerUpload(id, {
+      receive(chunk, isLast) {
+        loaded += chunk.length;
+        receivedChunkCount++;
+
+        // don't trust the declared size
+        if (loaded > fileInfo.size || (isLast && loaded < fileInfo.size)) {
+          window._abortUpload(id, new Error(`The uploaded file doesn't match its declared size of ${fileInfo.size} bytes.`));
+          return;
+        }
+
+        if (receivedChunkCount - readChunkCount > UPLOAD_WINDOW_SIZE) {
+          window._abortUpload(id, new Error('The file was sent ahead of its acknowledged chunks.'));
+          return;
+        }
+
+        controller.enqueue(chunk);
+        updateFile(id, { loaded });
+
+        if (options.onProgress) {
+          options.onProgress(fileInfo, loaded);
+        }
+
+        if (isLast) {
+          controller.close();
+          finish({ status: 'done' });
+        }
+      },
+
+      abort(err) {
+        controller.error(err);
+        finish({ status: 'error', error: err.message });
+      }
+    });
+
+    Promise.resolve(options.onFile({ ...fileInfo, stream })).catch(err => {
+      if (activeFileIds.has(id)) {
+        window._abortUpload(id, err);
+      }
+
+      window._reportError(err);
+    });
+  };
+
+  // called with the metadata of the selected files, right before their content starts arriving
+  let onSelect = (payload) => {
+    let selectedFiles = (payload && Array.isArray(payload.files)) ? payload.files : [];
+    let newFiles = [];
+
+    selectedFiles.forEach((file, index) => {
+      let fileInfo = toFileInfo(file);
+      let error = null;
+
+      if (index >= maxFiles) {
+        error = `At most ${maxFiles} files can be uploaded at once.`;
+      } else if (!(fileInfo.size <= maxFileSize)) {
+        error = `The file is larger than the limit of ${maxFileSize} bytes.`;
+      }
+
+      if (error) {
+        window._abortUpload(fileInfo.id);
+        newFiles.push({ ...fileInfo, loaded: 0, status: 'rejected', error });
+      } else {
+        newFiles.push({ ...fileInfo, loaded: 0, status: 'uploading', error: null });
+        startUpload(fileInfo);
+      }
+    });
+
+    // files of earlier selections are kept around until they're done
+    setFiles(files => [...files.filter(file => file.status == 'uploading'), ...newFiles]);
+  };
+
+  onCleanup(() => {
+    activeFileIds.forEach(id => window._abortUpload(id, new Error('The upload was cancelled.')));
+  });
+
+  return {
+    files,
+
+    // the change handler of the file input
+    onChange: { clientFnId: UPLOAD_CLIENT_FUNCTION_ID, serverBindFns: [onSelect] }
+  };
+}
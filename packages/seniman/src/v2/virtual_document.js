@@ -0,0 +1,877 @@
+// A server-side mirror of the browser runtime in frontend/browser.js.
+//
+// VirtualDocument consumes the same binary command stream a Window sends over its port,
+// and applies it to a lightweight in-memory DOM tree instead of a real document. It is used
+// to run windows headlessly (i.e. in tests), and needs to be kept in sync with the browser
+// runtime whenever a command's encoding changes.
+
+import { Buffer } from 'node:buffer';
+import { clientFunctionBundle } from '../client_functions.js';
+import { MODIFIER_DEBOUNCE, MODIFIER_THROTTLE } from './event_modifiers.js';
+
+let CMD_PING = 0;
+let CMD_INSTALL_TEMPLATE = 1;
+let CMD_INIT_WINDOW = 2;
+let CMD_ATTACH_ANCHOR = 3;
+let CMD_COOKIE_SET = 4;
+let CMD_ATTACH_EVENT_V2 = 5;
+let CMD_NAV = 6;
+let CMD_ELEMENT_UPDATE = 7;
+let CMD_INIT_BLOCK = 8;
+let CMD_REMOVE_BLOCKS = 9;
+let CMD_INSTALL_CLIENT_FUNCTION = 10;
+let CMD_RUN_CLIENT_FUNCTION = 11;
+let CMD_APPEND_TOKENLIST = 12;
+let CMD_TEXT_CHUNK = 13;
+let CMD_UPDATE_LIST = 14;
+let CMD_COOKIE_HANDSHAKE = 15;
+let CMD_ABORT_UPLOAD = 16;
+let CMD_RESTORE_SCROLL = 17;
+let CMD_ACK_UPLOAD = 18;
+let CMD_FIRST_FRAME = 19;
+
+let NAV_REPLACE = 1;
+
+let LIST_OP_INSERT = 1;
+let LIST_OP_MOVE = 2;
+let LIST_OP_REMOVE = 3;
+
+let CHUNKED_TEXT_MARKER = 0x7FFF;
+
+let EventMap = {
+  1: 'click',
+  2: 'focus',
+  3: 'blur',
+  4: 'input',
+  5: 'scroll',
+  6: 'keydown',
+  7: 'keyup',
+  8: 'mouseenter',
+  9: 'mouseleave'
+};
+
+let voidTagSet = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+class VirtualNode {
+
+  constructor() {
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get nextSibling() {
+    if (!this.parentNode) {
+      return null;
+    }
+
+    let siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  get textContent() {
+    return this.childNodes.map(node => node.textContent).join('');
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  insertBefore(node, referenceNode) {
+    if (node.parentNode) {
+      node.remove();
+    }
+
+    let index = referenceNode ? this.childNodes.indexOf(referenceNode) : -1;
+
+    if (index == -1) {
+      this.childNodes.push(node);
+    } else {
+      this.childNodes.splice(index, 0, node);
+    }
+
+    node.parentNode = this;
+    return node;
+  }
+
+  remove() {
+    if (this.parentNode) {
+      let siblings = this.parentNode.childNodes;
+      siblings.splice(siblings.indexOf(this), 1);
+      this.parentNode = null;
+    }
+  }
+
+  get innerHTML() {
+    return this.childNodes.map(node => node.outerHTML).join('');
+  }
+}
+
+export class VirtualText extends VirtualNode {
+
+  constructor(data) {
+    super();
+    this.nodeType = 3;
+    this.data = data;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  get outerHTML() {
+    return escapeText(this.data);
+  }
+
+  cloneNode() {
+    return new VirtualText(this.data);
+  }
+}
+
+export class VirtualComment extends VirtualNode {
+
+  constructor(data) {
+    super();
+    this.nodeType = 8;
+    this.data = data;
+  }
+
+  get textContent() {
+    return '';
+  }
+
+  get outerHTML() {
+    return `<!--${this.data}-->`;
+  }
+
+  cloneNode() {
+    return new VirtualComment(this.data);
+  }
+}
+
+export class VirtualElement extends VirtualNode {
+
+  constructor(tagName) {
+    super();
+    this.nodeType = 1;
+    this.tagName = tagName;
+    this.attributes = new Map();
+    this.style = new Map();
+
+    // DOM properties that are set directly by the runtime instead of through attributes
+    this.value = undefined;
+    this.checked = undefined;
+
+    // eventName -> { clientFnId, modifiers, delay, serverBindIds }
+    this.eventHandlers = new Map();
+  }
+
+  getAttribute(name) {
+    if (name == 'style') {
+      return this.style.size ? this._serializeStyle() : null;
+    }
+
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  setAttribute(name, value) {
+    if (name == 'style') {
+      this.style = new Map();
+
+      value.split(';').forEach(declaration => {
+        let separatorIndex = declaration.indexOf(':');
+
+        if (separatorIndex > 0) {
+          this.style.set(declaration.substring(0, separatorIndex).trim(), declaration.substring(separatorIndex + 1).trim());
+        }
+      });
+    } else {
+      this.attributes.set(name, value);
+    }
+  }
+
+  removeAttribute(name) {
+    if (name == 'style') {
+      this.style = new Map();
+    } else {
+      this.attributes.delete(name);
+    }
+  }
+
+  _serializeStyle() {
+    let declarations = [];
+
+    this.style.forEach((value, key) => {
+      declarations.push(`${key}:${value};`);
+    });
+
+    return declarations.join('');
+  }
+
+  get outerHTML() {
+    let html = `<${this.tagName}`;
+
+    this.attributes.forEach((value, name) => {
+      if ((name == 'value' && this.value !== undefined) || (name == 'checked' && this.checked !== undefined)) {
+        return;
+      }
+
+      html += ` ${name}="${escapeAttribute(value)}"`;
+    });
+
+    if (this.style.size) {
+      html += ` style="${escapeAttribute(this._serializeStyle())}"`;
+    }
+
+    if (this.value !== undefined && this.tagName != 'textarea') {
+      html += ` value="${escapeAttribute(this.value)}"`;
+    }
+
+    if (this.checked) {
+      html += ' checked';
+    }
+
+    html += '>';
+
+    if (voidTagSet.has(this.tagName)) {
+      return html;
+    }
+
+    let innerHTML = this.tagName == 'textarea' && this.value !== undefined ? escapeText(this.value) : this.innerHTML;
+
+    return html + innerHTML + `</${this.tagName}>`;
+  }
+
+  cloneNode() {
+    let clone = new VirtualElement(this.tagName);
+
+    this.attributes.forEach((value, name) => clone.attributes.set(name, value));
+    this.style.forEach((value, key) => clone.style.set(key, value));
+
+    this.childNodes.forEach(child => {
+      clone.appendChild(child.cloneNode());
+    });
+
+    return clone;
+  }
+
+  // supports simple selectors only: tag, #id, .class, [attr] and [attr=value], or a combination of them
+  // (without any combinators), i.e. `button.primary[type=submit]`
+  matches(selector) {
+    let parts = selector.match(/^([a-zA-Z0-9-]*)((?:#[\w-]+|\.[\w-]+|\[[^\]]+\])*)$/);
+
+    if (!parts) {
+      throw new Error(`Unsupported selector: ${selector}`);
+    }
+
+    let [, tagName, qualifiers] = parts;
+
+    if (tagName && tagName.toLowerCase() != this.tagName) {
+      return false;
+    }
+
+    let qualifierList = qualifiers.match(/#[\w-]+|\.[\w-]+|\[[^\]]+\]/g) || [];
+
+    return qualifierList.every(qualifier => {
+      if (qualifier[0] == '#') {
+        return this.attributes.get('id') == qualifier.substring(1);
+      } else if (qualifier[0] == '.') {
+        return (this.attributes.get('class') || '').split(/\s+/).includes(qualifier.substring(1));
+      } else {
+        let [name, value] = qualifier.slice(1, -1).split('=');
+        let attributeValue = this.getAttribute(name);
+
+        if (value === undefined) {
+          return attributeValue !== null;
+        }
+
+        return attributeValue === value.replace(/^["']|["']$/g, '');
+      }
+    });
+  }
+
+  querySelectorAll(selector) {
+    let results = [];
+
+    let dig = (node) => {
+      node.childNodes.forEach(child => {
+        if (child.nodeType == 1) {
+          if (child.matches(selector)) {
+            results.push(child);
+          }
+
+          dig(child);
+        }
+      });
+    };
+
+    dig(this);
+
+    return results;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+export class VirtualDocument {
+
+  constructor(options = {}) {
+    this.head = new VirtualElement('head');
+    this.body = new VirtualElement('body');
+
+    this.windowId = null;
+    this.location = options.path || '/';
+
+    // the paths navigated to by the server, in order
+    this.history = [];
+
+    // the session's history entries -- `{ path, state }` -- and the index of the current one
+    this.historyEntries = [{ path: this.location, state: null }];
+    this.historyIndex = 0;
+    this.cookies = new Map();
+
+    this.blocksMap = new Map();
+    this.templateDefinitionMap = new Map();
+    this.clientFunctionsMap = new Map();
+
+    // fill out the 0-index to make it easier for templating to do 1-indexing
+    this.tokenList = [''];
+
+    this.readOffset = 0;
+
+    // chunks of the text currently being streamed, and the completed texts waiting to be attached
+    this.textChunks = [];
+    this.chunkedTexts = [];
+
+    // called with the runnable client function, its arguments and `this` context whenever
+    // the server requests a client function execution
+    this.onRunClientFunction = options.onRunClientFunction || null;
+
+    // called with the token of an HttpOnly cookie handshake, returning the Set-Cookie header it redeems
+    this.onCookieHandshake = options.onCookieHandshake || null;
+
+    // ids of the uploaded files the server asked to stop sending
+    this.abortedUploadIds = new Set();
+
+    // uploaded file id -> number of its chunks the server has read
+    this.uploadAcks = new Map();
+
+    this._processMap = {
+      [CMD_INIT_WINDOW]: () => this._initWindow(),
+      [CMD_INIT_BLOCK]: () => this._initBlock(),
+      [CMD_INSTALL_TEMPLATE]: () => this._installTemplate(),
+      [CMD_ATTACH_ANCHOR]: () => this._attachAtAnchor(),
+      [CMD_ATTACH_EVENT_V2]: () => this._attachEventHandler(),
+      [CMD_NAV]: () => this._navigate(),
+      [CMD_ELEMENT_UPDATE]: () => this._elementUpdate(),
+      [CMD_COOKIE_SET]: () => this._setCookie(),
+      [CMD_REMOVE_BLOCKS]: () => this._removeBlocks(),
+      [CMD_INSTALL_CLIENT_FUNCTION]: () => this._installClientFunction(),
+      [CMD_RUN_CLIENT_FUNCTION]: () => this._runClientFunction(),
+      [CMD_APPEND_TOKENLIST]: () => this._appendTokenList(),
+      [CMD_TEXT_CHUNK]: () => this._appendTextChunk(),
+      [CMD_UPDATE_LIST]: () => this._updateList(),
+      [CMD_COOKIE_HANDSHAKE]: () => this._cookieHandshake(),
+      [CMD_ABORT_UPLOAD]: () => this.abortedUploadIds.add(this._getUint32()),
+      [CMD_ACK_UPLOAD]: () => this._ackUpload(),
+      // there are no server-rendered nodes to adopt
+      [CMD_FIRST_FRAME]: () => { },
+      // there's nothing to scroll
+      [CMD_RESTORE_SCROLL]: () => { }
+    };
+  }
+
+  apply(buffer) {
+    this.buffer = buffer;
+    this.processOffset = 0;
+
+    if (buffer.readUint8(0) == CMD_PING) {
+      return;
+    }
+
+    while (this.processOffset < buffer.length) {
+      let opcode = this._getUint8();
+      let fn = this._processMap[opcode];
+
+      if (fn) {
+        fn();
+      } else {
+        throw new Error(`Invalid opcode: ${opcode}`);
+      }
+    }
+
+    this.readOffset += this.processOffset;
+  }
+
+  _getUint8() {
+    return this.buffer.readUint8(this.processOffset++);
+  }
+
+  _getUint16() {
+    return this.buffer.readUint16BE((this.processOffset += 2) - 2);
+  }
+
+  _getUint32() {
+    return this.buffer.readUint32BE((this.processOffset += 4) - 4);
+  }
+
+  _getString(length) {
+    return this.buffer.toString('utf8', this.processOffset, this.processOffset += length);
+  }
+
+  _createNewBlockEntry(rootEl, targetEls, anchorDefs) {
+    return {
+      rootEl,
+      targetEls,
+      anchors: anchorDefs.map(anchor => {
+        return {
+          el: anchor.el,
+          marker: anchor.marker,
+          nodes: []
+        };
+      })
+    };
+  }
+
+  _initWindow() {
+    this.windowId = this._getString(21);
+
+    // head = 1, body = 2
+    this.blocksMap.set(1, this._createNewBlockEntry(this.head, [], [{ el: this.head }]));
+    this.blocksMap.set(2, this._createNewBlockEntry(this.body, [], [{ el: this.body }]));
+  }
+
+  _installTemplate() {
+    let templateId = this._getUint16();
+    let templateTokenList = [];
+    let id;
+
+    while ((id = this._getUint16())) {
+      templateTokenList.push(this.tokenList[id]);
+    }
+
+    let root = this._compileTemplate(templateTokenList);
+    let refs = this._compileElScript();
+
+    this.templateDefinitionMap.set(templateId, { root, refs });
+  }
+
+  _compileTemplate(templateTokenList) {
+    let totalElementCount = this._getUint16();
+    let totalProcessed = 0;
+    let container = new VirtualElement('template');
+
+    let dig = (parent) => {
+
+      while (totalProcessed < totalElementCount) {
+        let firstByte = this._getUint8();
+        let tagNameId = firstByte & 63;
+        let nextSibling = (firstByte & 128) > 0;
+
+        if (tagNameId == 0) {
+          let text = this._getString(this._getUint16());
+
+          // the compiler uses `<!>` to separate a text from its preceding anchor,
+          // which the browser parses into an empty comment.
+          parent.appendChild(text == '<!>' ? new VirtualComment('') : new VirtualText(text));
+        } else {
+          let element = new VirtualElement(templateTokenList[tagNameId - 1]);
+          let attrId;
+
+          while ((attrId = this._getUint8())) {
+            let attrName = templateTokenList[attrId - 1];
+
+            if (attrName == 'style') {
+              let propKeyId;
+
+              while ((propKeyId = this._getUint8())) {
+                let propValueId = this._getUint8();
+                element.style.set(templateTokenList[propKeyId - 1], templateTokenList[propValueId - 1]);
+              }
+            } else {
+              element.attributes.set(attrName, this._getString(this._getUint16()));
+            }
+          }
+
+          parent.appendChild(element);
+
+          let hasChildren = (firstByte & 64) > 0;
+
+          if (hasChildren && !voidTagSet.has(element.tagName)) {
+            dig(element);
+          }
+        }
+
+        totalProcessed++;
+
+        if (!nextSibling) {
+          break;
+        }
+      }
+    };
+
+    dig(container);
+
+    return container.firstChild;
+  }
+
+  _compileElScript() {
+    let refs = [];
+    let anchors = [];
+    let targets = [];
+
+    let refElementsCount = this._getUint8();
+
+    for (let i = 0; i < refElementsCount; i++) {
+      let rel = this._getUint8();
+      let relRefId = this._getUint8();
+
+      refs.push({ rel, relRefId });
+    }
+
+    let anchorCount = this._getUint8();
+
+    for (let i = 0; i < anchorCount; i++) {
+      let elId = this._getUint8();
+      let beforeElId = this._getUint8();
+
+      anchors.push({ elId, beforeElId });
+    }
+
+    let targetElementCount = this._getUint8();
+
+    for (let i = 0; i < targetElementCount; i++) {
+      targets.push(this._getUint8());
+    }
+
+    return { refs, anchors, targets };
+  }
+
+  _initBlock() {
+    let blockId = this._getUint16();
+    let templateId = this._getUint16();
+
+    let { root, refs } = this.templateDefinitionMap.get(templateId);
+    let rootEl = root.cloneNode();
+
+    // walk the element references the same way the browser's compiled template function does;
+    // 255 refers to the root element.
+    let els = [];
+    let getEl = (id) => id == 255 ? rootEl : els[id];
+    let FIRST_CHILD = 1;
+
+    refs.refs.forEach(({ rel, relRefId }) => {
+      let relEl = getEl(relRefId);
+      els.push(rel == FIRST_CHILD ? relEl.firstChild : relEl.nextSibling);
+    });
+
+    let anchorDefs = refs.anchors.map(({ elId, beforeElId }) => {
+      return { el: getEl(elId), marker: beforeElId == 255 ? null : els[beforeElId] };
+    });
+
+    let targetEls = refs.targets.map(id => els[id]);
+
+    this.blocksMap.set(blockId, this._createNewBlockEntry(rootEl, targetEls, anchorDefs));
+  }
+
+  _getBlockTargetElement(blockId, targetId) {
+    let block = this.blocksMap.get(blockId);
+    return targetId == 255 ? block.rootEl : block.targetEls[targetId];
+  }
+
+  _attachAtAnchor() {
+    let block = this.blocksMap.get(this._getUint16());
+    let anchor = block.anchors[this._getUint8()];
+    let nodes = [];
+
+    while (true) {
+      let marker16bit = this._getUint16();
+
+      if (marker16bit == 65535) {
+        break;
+      }
+
+      if (marker16bit & (1 << 15)) {
+        nodes.push(this.blocksMap.get(marker16bit & 0x7FFF).rootEl);
+      } else if (marker16bit == CHUNKED_TEXT_MARKER) {
+        nodes.push(new VirtualText(this.chunkedTexts.shift()));
+      } else {
+        nodes.push(new VirtualText(this._getString(marker16bit)));
+      }
+    }
+
+    this._attach(anchor, nodes);
+  }
+
+  _attach(anchor, nodes) {
+    let parentElement = anchor.el;
+    let current = anchor.nodes;
+
+    if (current.length) {
+      let tempMarker = new VirtualText('');
+      parentElement.insertBefore(tempMarker, current[0]);
+
+      current.forEach(node => node.remove());
+      nodes.forEach(node => parentElement.insertBefore(node, tempMarker));
+
+      tempMarker.remove();
+    } else {
+      nodes.forEach(node => parentElement.insertBefore(node, anchor.marker));
+    }
+
+    anchor.nodes = nodes;
+  }
+
+  _insertAtAnchor(anchor, index, node) {
+    let nodes = anchor.nodes;
+    let referenceNode = index < nodes.length ? nodes[index] : (nodes.length ? nodes[nodes.length - 1].nextSibling : anchor.marker);
+
+    // a node moved to the position it's already at
+    if (referenceNode === node) {
+      referenceNode = node.nextSibling;
+    }
+
+    anchor.el.insertBefore(node, referenceNode);
+    nodes.splice(index, 0, node);
+  }
+
+  _updateList() {
+    let block = this.blocksMap.get(this._getUint16());
+    let anchor = block.anchors[this._getUint8()];
+    let op;
+
+    while ((op = this._getUint8())) {
+      let index = this._getUint16();
+
+      if (op == LIST_OP_INSERT) {
+        this._insertAtAnchor(anchor, index, this.blocksMap.get(this._getUint16()).rootEl);
+      } else if (op == LIST_OP_MOVE) {
+        let node = anchor.nodes.splice(index, 1)[0];
+        this._insertAtAnchor(anchor, this._getUint16(), node);
+      } else if (op == LIST_OP_REMOVE) {
+        anchor.nodes.splice(index, 1)[0].remove();
+      }
+    }
+  }
+
+  _attachEventHandler() {
+    let blockId = this._getUint16();
+    let targetId = this._getUint8();
+    let eventType = this._getUint8();
+    let eventName = eventType ? EventMap[eventType] : this._getString(this._getUint8());
+    let clientFnId = this._getUint16();
+    let modifiers = this._getUint8();
+    let delay = modifiers & (MODIFIER_DEBOUNCE | MODIFIER_THROTTLE) ? this._getUint16() : 0;
+    let serverBindIds = [];
+    let bindId;
+
+    while ((bindId = this._getUint16())) {
+      serverBindIds.push(bindId);
+    }
+
+    let el = this._getBlockTargetElement(blockId, targetId);
+    el.eventHandlers.set(eventName, { clientFnId, modifiers, delay, serverBindIds });
+  }
+
+  _elementUpdate() {
+    let blockId = this._getUint16();
+    let targetId = this._getUint8();
+    let updateMode = this._getUint8();
+
+    let el = this._getBlockTargetElement(blockId, targetId);
+
+    let UPDATE_MODE_STYLEPROP = 1;
+    let UPDATE_MODE_SET_ATTR = 2;
+    let UPDATE_MODE_REMOVE_ATTR = 5;
+    let UPDATE_MODE_MULTI_STYLEPROP = 7;
+
+    switch (updateMode) {
+      case UPDATE_MODE_STYLEPROP:
+      case UPDATE_MODE_SET_ATTR: {
+        let propName = this.tokenList[this._getUint8()];
+        let propValue = this._getString(this._getUint16());
+
+        if (updateMode == UPDATE_MODE_STYLEPROP) {
+          el.style.set(propName, propValue);
+        } else if (propName == 'checked') {
+          el.checked = true;
+        } else if (propName == 'value') {
+          el.value = propValue;
+        } else {
+          el.setAttribute(propName, propValue);
+        }
+
+        break;
+      }
+      case UPDATE_MODE_REMOVE_ATTR: {
+        let propName = this.tokenList[this._getUint8()];
+
+        if (propName == 'checked') {
+          el.checked = false;
+        } else if (propName == 'value') {
+          el.value = '';
+        } else {
+          el.removeAttribute(propName);
+        }
+
+        break;
+      }
+      case UPDATE_MODE_MULTI_STYLEPROP: {
+        let keyLength;
+        el.style = new Map();
+
+        while ((keyLength = this._getUint16()) > 0) {
+          let key = keyLength & (1 << 15) ? this.tokenList[keyLength & 0x7FFF] : this._getString(keyLength);
+          let valueLength = this._getUint16();
+          let value = valueLength & (1 << 15) ? this.tokenList[valueLength & 0x7FFF] : this._getString(valueLength);
+
+          el.style.set(key, value);
+        }
+
+        break;
+      }
+    }
+  }
+
+  _navigate() {
+    let flags = this._getUint8();
+    let path = this._getString(this._getUint16());
+    let stateLength = this._getUint32();
+    let state = stateLength ? JSON.parse(this._getString(stateLength)) : null;
+
+    if (flags & NAV_REPLACE) {
+      this.historyEntries[this.historyIndex] = { path, state };
+    } else {
+      // like the browser, pushing an entry drops the entries that were forward of the current one
+      this.historyEntries.splice(++this.historyIndex, Infinity, { path, state });
+    }
+
+    this.history.push(path);
+    this.location = path;
+  }
+
+  // moves `delta` entries through the history like the browser's back and forward buttons, returning the
+  // entry moved to -- or null if there's none
+  traverseHistory(delta) {
+    let entry = this.historyEntries[this.historyIndex + delta];
+
+    if (!entry) {
+      return null;
+    }
+
+    this.historyIndex += delta;
+    this.location = entry.path;
+
+    return entry;
+  }
+
+  _setCookie() {
+    let key = this._getString(this._getUint8());
+    let value = this._getString(this._getUint16());
+    let attributes = this._getString(this._getUint16());
+
+    this._storeCookie(key, value, attributes);
+  }
+
+  _cookieHandshake() {
+    let setCookieHeader = this.onCookieHandshake && this.onCookieHandshake(this._getString(this._getUint8()));
+
+    if (setCookieHeader) {
+      let [keyValue, ...attributes] = setCookieHeader.split('; ');
+      let separatorIndex = keyValue.indexOf('=');
+
+      this._storeCookie(keyValue.substring(0, separatorIndex), keyValue.substring(separatorIndex + 1), attributes.join('; '));
+    }
+  }
+
+  _ackUpload() {
+    let fileId = this._getUint32();
+
+    this.uploadAcks.set(fileId, this._getUint32());
+  }
+
+  // cookies are kept as a plain key-value map -- attributes other than the expiry are not simulated
+  _storeCookie(key, value, attributes) {
+    let maxAge = /(?:^|; )Max-Age=(-?\d+)/.exec(attributes);
+    let expires = /(?:^|; )Expires=([^;]+)/.exec(attributes);
+
+    if ((maxAge && maxAge[1] <= 0) || (expires && Date.parse(expires[1]) <= Date.now())) {
+      this.cookies.delete(key);
+    } else {
+      this.cookies.set(key, value);
+    }
+  }
+
+  _removeBlocks() {
+    let blockId;
+
+    while ((blockId = this._getUint16())) {
+      this.blocksMap.delete(blockId);
+    }
+  }
+
+  _installClientFunction() {
+    let clientFunctionId = this._getUint16();
+    let clientFunction = JSON.parse(this._getString(this._getUint16()));
+
+    // functions of the static client function bundle are installed by their key
+    if (clientFunction.key) {
+      clientFunction = clientFunctionBundle.getDefinition(clientFunction.key);
+    }
+
+    this.clientFunctionsMap.set(clientFunctionId, clientFunction);
+  }
+
+  getClientFunction(clientFunctionId) {
+    return this.clientFunctionsMap.get(clientFunctionId);
+  }
+
+  _runClientFunction() {
+    let clientFunctionId = this._getUint16();
+    let serverBindIds = [];
+    let bindId;
+
+    while ((bindId = this._getUint16())) {
+      serverBindIds.push(bindId);
+    }
+
+    let argsList = JSON.parse(this._getString(this._getUint16()));
+
+    if (this.onRunClientFunction) {
+      this.onRunClientFunction(this.getClientFunction(clientFunctionId), serverBindIds, argsList);
+    }
+  }
+
+  _appendTextChunk() {
+    let isLast = this._getUint8();
+    let length = this._getUint16();
+
+    this.textChunks.push(Buffer.from(this.buffer.subarray(this.processOffset, this.processOffset += length)));
+
+    if (isLast) {
+      this.chunkedTexts.push(Buffer.concat(this.textChunks).toString('utf8'));
+      this.textChunks = [];
+    }
+  }
+
+  _appendTokenList() {
+    let length;
+
+    while ((length = this._getUint8())) {
+      this.tokenList.push(this._getString(length));
+    }
+  }
+}
@@ -1,11 +1,15 @@
 
 import { Buffer } from 'node:buffer';
-import { useState, useEffect, useDisposableEffect, onCleanup, untrack, useMemo, createContext, useContext, getActiveWindow, setActiveWindow, processWorkQueue, getActiveNode } from './state.js';
+import { useState, useEffect, useDisposableEffect, onCleanup, untrack, useMemo, createContext, useContext, getActiveWindow, setActiveWindow, processWorkQueue, getActiveNode, createRoot } from './state.js';
 import { clientFunctionDefinitions, streamBlockTemplateInstall } from '../declare.js';
 import { build } from '../build.js';
+import { clientFunctionBundle } from '../client_functions.js';
+import { serializeCookie, serializeCookieAttributes, validateCookie, isCookieRemoval, createCookieHandshake } from './cookies.js';
 import { bufferPool, PAGE_SIZE } from '../buffer-pool.js';
 import { windowManager } from './window_manager.js';
-import { ErrorViewer, ErrorHandler } from './errors.js';
+import { ErrorHandler, SyntaxErrorViewer } from './errors.js';
+import { decodeEventPayload } from './event_payload.js';
+import { encodeEventModifiers, MODIFIER_DEBOUNCE, MODIFIER_THROTTLE } from './event_modifiers.js';
 
 export const WindowContext = createContext(null);
 
@@ -81,6 +85,13 @@ function setCookieValue(cookieString, key, value) {
   return newCookieString;
 }
 
+function removeCookieValue(cookieString, key) {
+  return cookieString.split(';')
+    .filter(pair => pair.trim() && pair.split('=')[0].trim() !== key)
+    .join(';')
+    .trim();
+}
+
 class WorkQueue {
 
   constructor() {
@@ -121,9 +132,15 @@ function processInput(window, inputQueue) {
   while (inputQueue.length) {
     let msg = inputQueue.shift();
 
-    untrack(() => {
-      window._onMessage(msg);
-    });
+    // a malformed message (which the browser runtime doesn't send) is dropped, rather than taking down the
+    // window manager's loop along with every other window
+    try {
+      untrack(() => {
+        window._onMessage(msg);
+      });
+    } catch (e) {
+      console.warn('Dropped an invalid message from window', window.id, e);
+    }
   }
 
   setActiveWindow(null);
@@ -141,6 +158,46 @@ let CMD_INIT_BLOCK = 8;
 let CMD_REMOVE_BLOCKS = 9;
 let CMD_INSTALL_CLIENT_FUNCTION = 10;
 let CMD_RUN_CLIENT_FUNCTION = 11;
+let CMD_TEXT_CHUNK = 13;
+let CMD_UPDATE_LIST = 14;
+let CMD_COOKIE_HANDSHAKE = 15;
+let CMD_ABORT_UPLOAD = 16;
+let CMD_RESTORE_SCROLL = 17;
+let CMD_ACK_UPLOAD = 18;
+let CMD_FIRST_FRAME = 19;
+
+// CMD_NAV flags
+let NAV_REPLACE = 1;
+
+// client functions that are part of the browser runtime: 1 calls a server function with the event's default
+// payload, and 2 uploads the files of a file input
+let LAST_BUILTIN_CLIENT_FUNCTION_ID = 2;
+
+// operations of CMD_UPDATE_LIST, applied in order to the anchor's nodes
+let LIST_OP_END = 0;
+let LIST_OP_INSERT = 1;
+let LIST_OP_MOVE = 2;
+let LIST_OP_REMOVE = 3;
+
+// caps the number of operations per CMD_UPDATE_LIST command, keeping every command well within a buffer page
+const MAX_LIST_OPS_PER_COMMAND = 2000;
+
+// block ids are written as 16-bit values with the top bit flagging them as blocks in anchor attachments, where
+// 0xFFFF (0x7FFF with the flag) marks the end of the attachment list
+const MAX_BLOCK_ID = 0x7FFE;
+
+// ids up to this one are reserved for the window's root blocks (1 and 2 are the document's head and body)
+const LAST_RESERVED_BLOCK_ID = 10;
+
+// the number of blocks a window can have rendered at the same time
+const MAX_BLOCK_COUNT = MAX_BLOCK_ID - LAST_RESERVED_BLOCK_ID;
+
+// texts longer than this are streamed in CMD_TEXT_CHUNK commands ahead of their anchor attachment instead of inline,
+// keeping every command well within a buffer page
+const TEXT_CHUNK_SIZE = 4096;
+
+// anchor attachment entry referring to the next text assembled from CMD_TEXT_CHUNK commands
+const CHUNKED_TEXT_MARKER = 0x7FFF;
 
 let pingBuffer = Buffer.from([0]);
 const multiStylePropScratchBuffer = Buffer.alloc(32768);
@@ -155,13 +212,26 @@ export class Window {
       readOffset,
       cookieString } = pageParams;
 
-    if (build.syntaxErrors) {
+    // the app's syntax errors are only shown during development -- a SyntaxErrors.json left over from a dev build
+    // shouldn't take the place of a production app
+    let syntaxErrors = windowManager.dev ? build.syntaxErrors : null;
+
+    if (syntaxErrors) {
       console.error('Starting a window with syntax errors');
     }
 
     this.id = windowId;
     this.port = port;
+    this.ip = pageParams.ip || null;
+    this.session = pageParams.session || null;
+
+    // set when the window is rehydrated from a hibernation snapshot
+    this.snapshot = pageParams.snapshot || null;
+    this.persistedStates = new Map();
     this.destroyFnCallback = null;
+
+    // takes the place of the entrypoint's `onUnhandledError` hook, if set
+    this.unhandledErrorCallback = null;
     this.connected = true;
 
     this.pages = [];
@@ -171,10 +241,11 @@ export class Window {
 
     this._streamInitWindow();
 
-    this.latestBlockId = 10;
+    this.latestBlockId = LAST_RESERVED_BLOCK_ID;
 
     setActiveWindow(this);
     let [path, setPath] = useState(currentPath);
+    let [historyState, setHistoryState] = useState(this.snapshot && this.snapshot.historyState !== undefined ? this.snapshot.historyState : null);
     let [pageTitle, set_pageTitle] = useState('');
     let [getCookie, setCookie] = useState(cookieString);
     let [viewportSizeSignal, setViewportSize] = useState({ width: viewportSize[0], height: viewportSize[1] });
@@ -182,17 +253,27 @@ export class Window {
 
     this.setViewportSize = setViewportSize;
     this.setPath = setPath;
+    this.getPath = path;
+    this.getHistoryState = historyState;
+    this.setHistoryState = setHistoryState;
+    this.getCookieString = getCookie;
 
     // reuse the same buffer for all block delete commands
     this.deleteBlockCommandBuffer = Buffer.alloc(1000 * 2);
     this.deleteBlockCount = 0;
 
+    // ids of removed blocks, recycled for new blocks once their removal has been streamed to the client
+    this.freeBlockIds = [];
+
     this.clientTemplateInstallationSet = new Set();
     this.clientFunctionInstallationSet = new Set();
 
     this.lastEventHandlerId = 0;
     this.eventHandlers = new Map();
 
+    // file id -> receiver of the uploads in progress (see uploads.js)
+    this.uploads = new Map();
+
     this.tokenList = new Map();
     // fill out the 0 index to make it easier for templating system to do 1-indexing
     this.tokenList.set('', 0);
@@ -203,7 +284,20 @@ export class Window {
 
     this.hasPendingWork = false;
 
+    // set when a navigation is waiting for its re-render to finish before the browser can restore its scroll position
+    this.hasPendingScrollRestore = false;
+
+    // scheduling latencies recorded by the window manager, in milliseconds
+    this.metrics = {
+      workLatency: { count: 0, total: 0, max: 0, last: 0 },
+      inputLatency: { count: 0, total: 0, max: 0, last: 0 }
+    };
+
     this.lastPongTime = Date.now();
+    this.hasStreamedFirstFrame = false;
+
+    // whether the browser has ever answered the window -- those it never has aren't worth hibernating
+    this.hasConnected = false;
 
     let windowContext = {
       viewportSize: viewportSizeSignal,
@@ -214,44 +308,67 @@ export class Window {
         });
       },
 
-      setCookie: (cookieKey, cookieValue) => {
+      // options: { path, domain, maxAge (in seconds), expires, secure, sameSite, httpOnly } -- path defaults to '/'.
+      // a maxAge of 0 or an expiry in the past removes the cookie.
+      setCookie: (cookieKey, cookieValue, options = {}) => {
+        cookieValue = String(cookieValue);
+        validateCookie(cookieKey, cookieValue);
 
         untrack(() => {
           let cookieString = getCookie();
-          let newCookieString = setCookieValue(cookieString, cookieKey, cookieValue);
+          let newCookieString = isCookieRemoval(options) ?
+            removeCookieValue(cookieString, cookieKey) :
+            setCookieValue(cookieString, cookieKey, cookieValue);
 
           setCookie(newCookieString);
 
-          // TODO: send the cookie update to the browser
-          let buf = this._allocCommandBuffer(1 + 1 + cookieKey.length + 2 + cookieValue.length + 4);
+          if (options.httpOnly) {
+            // HttpOnly cookies can only be set through an HTTP response: have the browser redeem a token for it
+            let token = createCookieHandshake(this.id, serializeCookie(cookieKey, cookieValue, options));
+            let buf = this._allocCommandBuffer(1 + 1 + token.length);
+
+            buf.writeUint8(CMD_COOKIE_HANDSHAKE, 0);
+            buf.writeUint8(token.length, 1);
+            buf.write(token, 2);
+
+            return;
+          }
+
+          let keyBuffer = Buffer.from(cookieKey);
+          let valueBuffer = Buffer.from(cookieValue);
+          let attributesBuffer = Buffer.from(serializeCookieAttributes(options));
+
+          let buf = this._allocCommandBuffer(1 + 1 + keyBuffer.length + 2 + valueBuffer.length + 2 + attributesBuffer.length);
 
           let offset = 0;
           buf.writeUint8(CMD_COOKIE_SET, offset);
           offset++;
 
-          buf.writeUint8(cookieKey.length, offset);
+          buf.writeUint8(keyBuffer.length, offset);
           offset++;
-          buf.write(cookieKey, offset);
-          offset += cookieKey.length;
+          keyBuffer.copy(buf, offset);
+          offset += keyBuffer.length;
 
-          buf.writeUint16BE(cookieValue.length, offset);
+          buf.writeUint16BE(valueBuffer.length, offset);
           offset += 2;
-          buf.write(cookieValue, offset);
-          offset += cookieValue.length;
+          valueBuffer.copy(buf, offset);
+          offset += valueBuffer.length;
 
-          buf.writeUint32BE(0, offset);
+          buf.writeUint16BE(attributesBuffer.length, offset);
+          offset += 2;
+          attributesBuffer.copy(buf, offset);
         });
       },
 
       path,
 
-      navigate: (path) => {
-        let buf = this._allocCommandBuffer(1 + 2 + path.length);
-        buf.writeUint8(CMD_NAV, 0);
-        buf.writeUint16BE(path.length, 1);
-        buf.write(path, 1 + 2);
+      // the state object of the current history entry, as given to `navigate` -- or null
+      historyState,
 
-        setPath(path);
+      // options: { replace, state } -- the path can include a query string and a hash. `state` needs to be
+      // JSON-serializable, and is handed back through `historyState` when the user returns to the entry.
+      navigate: (path, options = {}) => {
+        this._navigate(path, options);
       },
 
       clientExec: (clientFnSpec, args) => {
@@ -294,17 +411,22 @@ export class Window {
       },
 
       pageTitle: pageTitle,
-      setPageTitle: (title) => set_pageTitle(title)
+      setPageTitle: (title) => set_pageTitle(title),
+
+      session: this.session
     };
 
-    this.rootDisposer = useDisposableEffect(() => {
+    // a new session's cookie can only be set once there's a window to set it through
+    if (this.session && this.session.isNew) {
+      let { name, value, options } = this.session.issueCookie();
+
+      windowContext.setCookie(name, value, options);
+    }
 
-      if (build.syntaxErrors) {
-        let fileName = Object.keys(build.syntaxErrors)[0];
-        let err = build.syntaxErrors[fileName];
-        let stack = [err];
+    this.rootDisposer = useDisposableEffect(() => {
 
-        this._attach(2, 0, <ErrorViewer name={err.name} message={err.message} stack={stack} />);
+      if (syntaxErrors) {
+        this._attach(2, 0, <SyntaxErrorViewer errors={Object.values(syntaxErrors)} />);
         return;
       }
 
@@ -312,7 +434,7 @@ export class Window {
 
       this._attach(1, 0, <components.Head />);
       this._attach(2, 0,
-        <ErrorHandler>
+        <ErrorHandler Fallback={components.ErrorFallback} onError={(err) => this._reportError(err)}>
           <components.Body />
         </ErrorHandler>
       );
@@ -330,26 +452,83 @@ export class Window {
     }
   }
 
-  scheduleWork() {
+  // gets commands that were written outside of the window's work streamed to the client
+  _requestFlush() {
+    if (!this.hasPendingWork) {
+      windowManager.requestExecution(this);
+      this.hasPendingWork = true;
+    }
+  }
+
+  // runs the window's queued work. when given a budget ({ time, bytes }), yields once the slice has run for `time`
+  // milliseconds or generated `bytes` of commands, and re-queues itself in the window manager for the rest of the work,
+  // so a single window with a heavy effect cascade doesn't starve the other windows.
+  scheduleWork(budget) {
+    let shouldYield = null;
 
-    // TODO: probably do the queue loop here, 
-    // in high-traffic situations, cross check the output buffer if there's enough generated there
-    // to start yielding to another window even though queue is not completely processed
-    // to make sure everyone's windows are sufficiently responsive
-    //await this.worker.doWork();
+    if (budget) {
+      let startTime = performance.now();
+      let startOffset = this.global_writeOffset;
 
-    //console.log('scheduleWork')
+      shouldYield = () => {
+        return (performance.now() - startTime) >= budget.time || (this.global_writeOffset - startOffset) >= budget.bytes;
+      };
+    }
+
+    processWorkQueue(this, this.workQueue, shouldYield);
+
+    if (this.hasPendingScrollRestore && this.workQueue.isEmpty()) {
+      this._streamRestoreScroll();
+    }
 
-    processWorkQueue(this, this.workQueue);
+    // a browser hydrating a server-rendered page adopts its DOM once the window has caught up with it
+    if (!this.hasStreamedFirstFrame && this.workQueue.isEmpty()) {
+      this._streamFirstFrame();
+    }
 
     this._flushMutationGroup();
 
-    // for now, always assume we're done with work, and set this.hasPendingWork to false
-    // later, we'll need to check if there's still work to do since we'll only be allowed to do a certain amount of work per frame
-    this.hasPendingWork = false;
+    if (this.workQueue.isEmpty()) {
+      this.hasPendingWork = false;
+    } else {
+      windowManager.requestExecution(this);
+    }
   }
 
 
+  restorePersistedState(key, initialValue) {
+    let states = this.snapshot && this.snapshot.states;
+
+    return states && key in states ? states[key] : initialValue;
+  }
+
+  registerPersistedState(key, state) {
+    this.persistedStates.set(key, state);
+  }
+
+  unregisterPersistedState(key, state) {
+    if (this.persistedStates.get(key) === state) {
+      this.persistedStates.delete(key);
+    }
+  }
+
+  // returns the window's state to be saved when it's hibernated
+  getSnapshot() {
+    let states = {};
+
+    this.persistedStates.forEach((state, key) => {
+      states[key] = state.value;
+    });
+
+    return {
+      path: this.getPath(),
+      historyState: this.getHistoryState(),
+      cookieString: this.getCookieString(),
+      states,
+      hibernatedAt: Date.now()
+    };
+  }
+
   sendPing() {
     this.port.send(pingBuffer);
   }
@@ -378,6 +557,11 @@ export class Window {
       // write the end marker
       buf.writeUint16BE(0, 1 + 2 * this.deleteBlockCount);
 
+      // the client processes commands in order, so new blocks streamed from here on can safely take over these ids
+      for (let i = 0; i < this.deleteBlockCount; i++) {
+        this.freeBlockIds.push(this.deleteBlockCommandBuffer.readUint16BE(i * 2));
+      }
+
       this.deleteBlockCount = 0;
     }
   }
@@ -385,6 +569,7 @@ export class Window {
   registerPong(pongBuffer) {
     this.lastPongTime = Date.now();
     this.connected = true;
+    this.hasConnected = true;
 
     let readOffset = pongBuffer.readUInt32LE(1);
     this.registerReadOffset(readOffset);
@@ -464,15 +649,27 @@ export class Window {
 
     this.port = port;
     this.connected = true;
+    this.hasConnected = true;
     this.lastPongTime = Date.now();
 
     this.registerReadOffset(readOffset);
     this._restreamUnreadPages();
+
+    // server-rendered windows are created before the browser's viewport size is known
+    if (viewportSize) {
+      this.setViewportSize({ width: viewportSize[0], height: viewportSize[1] });
+    }
   }
 
   disconnect() {
     console.log('window disconnect', this.id);
     this.connected = false;
+
+    // the rest of the uploads' chunks are lost along with the connection
+    let uploads = this.uploads;
+    this.uploads = new Map();
+
+    uploads.forEach(upload => upload.abort(new Error('The connection was lost during the upload.')));
   }
 
   destroy() {
@@ -494,40 +691,119 @@ export class Window {
     let EVENT_DATA_COMMAND = 2;
     let EVENT_BACKNAV = 3;
     let EVENT_VIEWPORT_UPDATE = 5;
+    let EVENT_UPLOAD_CHUNK = 6;
 
     let opcode = buffer.readUint8(0);
 
     if (opcode == EVENT_COMMAND) {
       let handlerId = buffer.readUint16LE(1);
-      let dataLength = buffer.readUint16LE(3);
-      let data;
-
-      if (dataLength > 0) {
-        data = JSON.parse(buffer.subarray(5, 5 + dataLength).toString());
-      } else {
-        data = '';
-      }
+      let data = decodeEventPayload(buffer, 3);
 
       this._executeClientEvent({ handlerId, data });
     } else if (opcode == EVENT_BACKNAV) {
-      let pathnameLength = buffer.readUint16LE(1);
-      let path = buffer.subarray(3, 3 + pathnameLength).toString();
+      // [u8 opcode][u16 path length][path, including the query string and hash][u32 state length][state JSON]
+      let pathLength = buffer.readUint16LE(1);
+      let path = buffer.toString('utf8', 3, 3 + pathLength);
+      let state = this._readHistoryState(buffer, 3 + pathLength);
 
-      // TODO: do we need to do something special other than just setting the path since this is a backnav?
-      // i.e. some level of sychronization of browser's history stack with the server's history stack?
+      // the browser has already moved to the entry: catch up, then let it restore the entry's scroll position
+      this.setHistoryState(() => state);
       this.setPath(path);
+      this._requestScrollRestore();
     } else if (opcode == EVENT_VIEWPORT_UPDATE) {
       let width = buffer.readUint16LE(1);
       let height = buffer.readUint16LE(3);
 
       this.setViewportSize({ width, height });
+    } else if (opcode == EVENT_UPLOAD_CHUNK) {
+      let fileId = buffer.readUint32LE(1);
+      let isLast = buffer.readUint8(5) == 1;
+
+      this._receiveUploadChunk(fileId, isLast, buffer.subarray(6));
     }
   }
 
+  // the state the browser kept in the history entry, or null if it's missing or malformed -- a broken state
+  // shouldn't keep the window from following the browser to the entry
+  _readHistoryState(buffer, offset) {
+    if (offset + 4 > buffer.length) {
+      return null;
+    }
+
+    let stateLength = buffer.readUint32LE(offset);
+
+    try {
+      return stateLength ? JSON.parse(buffer.toString('utf8', offset + 4, offset + 4 + stateLength)) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _registerUpload(fileId, receiver) {
+    this.uploads.set(fileId, receiver);
+  }
+
+  _receiveUploadChunk(fileId, isLast, chunk) {
+    let upload = this.uploads.get(fileId);
+
+    // a chunk of an upload that was never started (i.e. when its start event was dropped by the rate limiter),
+    // or that was aborted while the rest of its chunks were on their way. these are counted against the input
+    // limit, so made-up chunks can't get the window to stream an abort for each of them.
+    if (!upload) {
+      if (windowManager._consumeOrphanUploadChunk(this)) {
+        this._streamAbortUpload(fileId);
+      }
+
+      return;
+    }
+
+    if (isLast) {
+      this.uploads.delete(fileId);
+    }
+
+    upload.receive(chunk, isLast);
+  }
+
+  // stops the browser from sending the rest of the file, and errors the upload with `err`, if given
+  _abortUpload(fileId, err) {
+    let upload = this.uploads.get(fileId);
+
+    this.uploads.delete(fileId);
+
+    if (upload && err) {
+      upload.abort(err);
+    }
+
+    this._streamAbortUpload(fileId);
+  }
+
+  // lets the browser send more of the file, once `chunkCount` of its chunks have been read
+  _ackUpload(fileId, chunkCount) {
+    let buf = this._allocCommandBuffer(1 + 4 + 4);
+
+    buf.writeUint8(CMD_ACK_UPLOAD, 0);
+    buf.writeUint32BE(fileId, 1);
+    buf.writeUint32BE(chunkCount, 5);
+
+    // acks are written as the file's stream is read, outside of the window's work
+    this._requestFlush();
+  }
+
+  _streamAbortUpload(fileId) {
+    let buf = this._allocCommandBuffer(1 + 4);
+
+    buf.writeUint8(CMD_ABORT_UPLOAD, 0);
+    buf.writeUint32BE(fileId, 1);
+  }
+
   onDestroy(fn) {
     this.destroyFnCallback = fn;
   }
 
+  onUnhandledError(fn) {
+    this.unhandledErrorCallback = fn;
+  }
+
   destroy() {
     this.rootDisposer();
     this.destroyFnCallback();
@@ -633,7 +909,90 @@ export class Window {
       return;
     }
 
-    eventHandler(command.data);
+    // an error in an event handler (or the rejection of an async one) is reported, but leaves the
+    // rendered UI as it is
+    try {
+      let result = eventHandler(command.data);
+
+      if (result instanceof Promise) {
+        result.catch(e => this._reportError(e));
+      }
+    } catch (e) {
+      this._reportError(e);
+    }
+  }
+
+  _reportError(err) {
+    console.error(err);
+
+    let onUnhandledError = this.unhandledErrorCallback || windowManager.onUnhandledError;
+
+    if (!onUnhandledError) {
+      return;
+    }
+
+    let onHookError = (e) => console.error('onUnhandledError failed', e);
+
+    try {
+      Promise.resolve(onUnhandledError(err, { windowId: this.id, path: this.getPath() })).catch(onHookError);
+    } catch (e) {
+      onHookError(e);
+    }
+  }
+
+  // CMD_NAV: [u8 opcode][u8 flags][u16 path length][path][u32 state length][state JSON]
+  _navigate(path, options) {
+    let state = options.state === undefined ? null : options.state;
+    let pathBuffer = Buffer.from(path);
+    let stateBuffer = Buffer.from(state === null ? '' : JSON.stringify(state));
+
+    let size = 1 + 1 + 2 + pathBuffer.length + 4 + stateBuffer.length;
+
+    // a command is written into a single buffer page
+    if (size >= PAGE_SIZE) {
+      throw new Error(`The navigation's path and state take ${size} bytes, but a window command can only take up to ${PAGE_SIZE - 1}.`);
+    }
+
+    let buf = this._allocCommandBuffer(size);
+    let offset = 0;
+
+    buf.writeUint8(CMD_NAV, offset++);
+    buf.writeUint8(options.replace ? NAV_REPLACE : 0, offset++);
+    buf.writeUint16BE(pathBuffer.length, offset);
+    offset += 2;
+    pathBuffer.copy(buf, offset);
+    offset += pathBuffer.length;
+    buf.writeUint32BE(stateBuffer.length, offset);
+    stateBuffer.copy(buf, offset + 4);
+
+    // wrapped, since a function state would otherwise be called as an updater
+    this.setHistoryState(() => state);
+    this.setPath(path);
+    this._requestScrollRestore();
+  }
+
+  // the browser sets the scroll position of a navigation -- to the top, the hash's element, or the position the
+  // entry was left at -- only once the page has been re-rendered for it, which is when the window's work has drained.
+  _requestScrollRestore() {
+    if (this.hasPendingWork) {
+      this.hasPendingScrollRestore = true;
+    } else {
+      this._streamRestoreScroll();
+    }
+  }
+
+  _streamFirstFrame() {
+    this.hasStreamedFirstFrame = true;
+
+    let buf = this._allocCommandBuffer(1);
+    buf.writeUint8(CMD_FIRST_FRAME, 0);
+  }
+
+  _streamRestoreScroll() {
+    this.hasPendingScrollRestore = false;
+
+    let buf = this._allocCommandBuffer(1);
+    buf.writeUint8(CMD_RESTORE_SCROLL, 0);
   }
 
   _streamInitWindow() {
@@ -642,17 +1001,47 @@ export class Window {
     buf.write(this.id, 1, 21);
   }
 
-  _streamEventInitCommandV2(blockId, targetId, eventType, clientFnId, serverBindIds) {
+  // eventType is either the numeric id of a common event type, or the DOM event name of any other --
+  // sent as a type of 0, followed by the name's length and the name itself.
+  _streamEventInitCommandV2(blockId, targetId, eventType, clientFnId, modifiers, serverBindIds) {
 
-    let buf = this._allocCommandBuffer(1 + 2 + 1 + 1 + 2 + ((serverBindIds.length * 2) + 2));
+    let eventNameLength = typeof eventType == 'string' ? Buffer.byteLength(eventType) : 0;
+
+    if (eventNameLength > 255) {
+      throw new Error(`Event name too long: ${eventType}`);
+    }
+
+    let eventTypeLength = typeof eventType == 'string' ? 2 + eventNameLength : 1;
+    let [modifierFlags, delay] = encodeEventModifiers(modifiers);
+    let modifiersLength = modifierFlags & (MODIFIER_DEBOUNCE | MODIFIER_THROTTLE) ? 3 : 1;
+    let buf = this._allocCommandBuffer(1 + 2 + 1 + eventTypeLength + 2 + modifiersLength + ((serverBindIds.length * 2) + 2));
 
     buf.writeUint8(CMD_ATTACH_EVENT_V2, 0);
     buf.writeUint16BE(blockId, 1);
     buf.writeUint8(targetId, 3);
-    buf.writeUint8(eventType, 4);
-    buf.writeUint16BE(clientFnId, 5);
 
-    let offset = 7;
+    let offset = 4;
+
+    if (typeof eventType == 'string') {
+      buf.writeUint8(0, offset);
+      buf.writeUint8(eventNameLength, offset + 1);
+      buf.write(eventType, offset + 2, eventNameLength);
+    } else {
+      buf.writeUint8(eventType, offset);
+    }
+
+    offset += eventTypeLength;
+
+    buf.writeUint16BE(clientFnId, offset);
+    offset += 2;
+
+    buf.writeUint8(modifierFlags, offset);
+
+    if (modifiersLength > 1) {
+      buf.writeUint16BE(delay, offset + 1);
+    }
+
+    offset += modifiersLength;
 
     serverBindIds.forEach(bindId => {
       buf.writeUint16BE(bindId, offset);
@@ -672,8 +1061,10 @@ export class Window {
 
   _streamFunctionInstallCommand(functionId) {
 
-    if (functionId > 1 && !this.clientFunctionInstallationSet.has(functionId)) {
-      let clientFnString = JSON.stringify(clientFunctionDefinitions.get(functionId));
+    if (functionId > LAST_BUILTIN_CLIENT_FUNCTION_ID && !this.clientFunctionInstallationSet.has(functionId)) {
+      // functions of the page's static bundle are already on the client, and are installed by their key
+      let clientFunction = clientFunctionBundle.enabled ? { key: clientFunctionBundle.getKey(functionId) } : clientFunctionDefinitions.get(functionId);
+      let clientFnString = JSON.stringify(clientFunction);
       let buf = this._allocCommandBuffer(1 + 2 + 2 + clientFnString.length);
 
       buf.writeUInt8(CMD_INSTALL_CLIENT_FUNCTION, 0);
@@ -686,6 +1077,21 @@ export class Window {
   }
 
   _createBlockId() {
+    if (this.freeBlockIds.length) {
+      return this.freeBlockIds.pop();
+    }
+
+    if (this.latestBlockId == MAX_BLOCK_ID) {
+      // blocks pending removal can be recycled right away by streaming their removal first
+      this.flushBlockDeleteQueue();
+
+      if (!this.freeBlockIds.length) {
+        throw new Error(`Window ${this.id} ran out of block ids: no more than ${MAX_BLOCK_COUNT} blocks can be rendered at the same time.`);
+      }
+
+      return this.freeBlockIds.pop();
+    }
+
     this.latestBlockId++;
 
     return this.latestBlockId;
@@ -710,6 +1116,8 @@ export class Window {
     } else if (nodeResult.type == 'block') {
       //console.log('_attachBlock', nodeResult.id);
       this._streamAttachBlockCommand(blockId, anchorIndex, nodeResult.id);
+    } else if (nodeResult.type == 'keyedList') {
+      this._attachKeyedList(blockId, anchorIndex, nodeResult);
     } else if (nodeResult instanceof Function) {
       useEffect(() => {
         let value = nodeResult();
@@ -788,6 +1196,158 @@ export class Window {
     }
   }
 
+  // renders each item of a <For> list in its own root scope, kept for as long as the item's key stays in the list.
+  // the first run attaches the rendered items in full, while subsequent runs only render the new items, and stream
+  // the insert / move / remove operations that turn the anchor's current nodes into the new list.
+  _attachKeyedList(blockId, anchorIndex, list) {
+    let getKey = list.key || (item => item);
+    let entries = null;
+
+    onCleanup(() => {
+      entries && entries.forEach(entry => entry.dispose());
+    });
+
+    useEffect(() => {
+      let items = (list.each instanceof Function ? list.each() : list.each) || [];
+      let keys = items.map(item => getKey(item));
+
+      if (new Set(keys).size != keys.length) {
+        throw new Error('Duplicate keys in <For> list.');
+      }
+
+      let entryMap = new Map();
+
+      if (entries) {
+        entries.forEach(entry => entryMap.set(entry.key, entry));
+      }
+
+      let nextEntries = items.map((item, index) => {
+        let entry = entryMap.get(keys[index]);
+
+        if (entry && entry.item === item) {
+          entry.setIndex(index);
+          entry.isReused = true;
+
+          return entry;
+        }
+
+        return this._createKeyedListEntry(list.render, keys[index], item, index);
+      });
+
+      if (entries) {
+        this._streamListOps(blockId, anchorIndex, entries, nextEntries);
+      } else {
+        this._streamAttachListCommand(blockId, anchorIndex, nextEntries.map(entry => entry.block));
+      }
+
+      nextEntries.forEach(entry => entry.isReused = false);
+      entries = nextEntries;
+    });
+  }
+
+  _createKeyedListEntry(render, key, item, index) {
+    return createRoot(dispose => {
+      let [getIndex, setIndex] = useState(index);
+      let block = render(item, getIndex);
+
+      if (!block || block.type != 'block') {
+        dispose();
+        throw new Error('<For> children need to render a single element for each item.');
+      }
+
+      return { key, item, block, dispose, setIndex, isReused: false };
+    });
+  }
+
+  // disposes the entries that aren't reused, and streams the operations turning the current entries into
+  // nextEntries. an entry that is followed by the one expected in its place has been moved down the list -- it's
+  // moved straight to its new index so that moving a single item doesn't shift every item in between.
+  _streamListOps(blockId, anchorIndex, entries, nextEntries) {
+    let ops = [];
+    let current = [];
+
+    for (let i = 0; i < entries.length; i++) {
+      let entry = entries[i];
+
+      if (entry.isReused) {
+        current.push(entry);
+      } else {
+        ops.push([LIST_OP_REMOVE, current.length]);
+        entry.dispose();
+      }
+    }
+
+    let nextIndexMap = new Map();
+    nextEntries.forEach((entry, index) => nextIndexMap.set(entry, index));
+
+    let i = 0;
+
+    while (i < nextEntries.length) {
+      let entry = nextEntries[i];
+      let currentEntry = current[i];
+
+      if (currentEntry === entry) {
+        i++;
+      } else if (currentEntry && current[i + 1] === entry) {
+        let to = Math.min(nextIndexMap.get(currentEntry), current.length - 1);
+
+        current.splice(i, 1);
+        current.splice(to, 0, currentEntry);
+        ops.push([LIST_OP_MOVE, i, to]);
+      } else {
+        let from = entry.isReused ? current.indexOf(entry, i + 1) : -1;
+
+        if (from == -1) {
+          ops.push([LIST_OP_INSERT, i, entry.block.id]);
+        } else {
+          current.splice(from, 1);
+          ops.push([LIST_OP_MOVE, from, i]);
+        }
+
+        current.splice(i, 0, entry);
+        i++;
+      }
+    }
+
+    for (let offset = 0; offset < ops.length; offset += MAX_LIST_OPS_PER_COMMAND) {
+      this._streamUpdateListCommand(blockId, anchorIndex, ops.slice(offset, offset + MAX_LIST_OPS_PER_COMMAND));
+    }
+  }
+
+  // [CMD_UPDATE_LIST][u16 blockId][u8 anchorIndex] followed by the operations, terminated by LIST_OP_END:
+  // INSERT: [u8 op][u16 index][u16 blockId]
+  // MOVE:   [u8 op][u16 fromIndex][u16 toIndex] -- toIndex is the index after the node is taken out of fromIndex
+  // REMOVE: [u8 op][u16 index]
+  _streamUpdateListCommand(blockId, anchorIndex, ops) {
+    let length = 1 + 2 + 1 + 1;
+
+    ops.forEach(op => {
+      length += op[0] == LIST_OP_REMOVE ? 3 : 5;
+    });
+
+    let buf = this._allocCommandBuffer(length);
+
+    buf.writeUint8(CMD_UPDATE_LIST, 0);
+    buf.writeUint16BE(blockId, 1);
+    buf.writeUint8(anchorIndex, 3);
+
+    let offset = 4;
+
+    ops.forEach(op => {
+      buf.writeUint8(op[0], offset);
+      buf.writeUint16BE(op[1], offset + 1);
+
+      if (op[0] == LIST_OP_REMOVE) {
+        offset += 3;
+      } else {
+        buf.writeUint16BE(op[2], offset + 3);
+        offset += 5;
+      }
+    });
+
+    buf.writeUint8(LIST_OP_END, offset);
+  }
+
   _streamTextInitCommand(blockId, anchorIndex, value) {
 
     //console.log('attaching text to block', blockId, anchorIndex, value);
@@ -812,10 +1372,17 @@ export class Window {
     // get the value
     // value is blockId
 
+    // if text is too long to be inlined:
+    // the text is streamed beforehand in CMD_TEXT_CHUNK commands, and the 16-bit value is CHUNKED_TEXT_MARKER
+
     let textBuffer = Buffer.from(value, "utf-8")
-    let textLength = textBuffer.length; //Buffer.byteLength(value);
+    let isChunked = textBuffer.length > TEXT_CHUNK_SIZE;
+
+    if (isChunked) {
+      this._streamTextChunks(textBuffer);
+    }
 
-    // TODO: handle string length longer than 32K
+    let textLength = isChunked ? 0 : textBuffer.length;
     let buf2 = this._allocCommandBuffer(1 + 2 + 1 + 2 + textLength + 2);
 
     buf2.writeUint8(CMD_ATTACH_ANCHOR, 0);
@@ -824,15 +1391,25 @@ export class Window {
     //console.log('attach text to blockId', blockId);
     buf2.writeUint8(anchorIndex, 3);
 
-    if (textLength > 32677) {
-      throw new Error();
-    }
-
-    buf2.writeUint16BE(textLength, 4);
-    textBuffer.copy(buf2, 6);
+    buf2.writeUint16BE(isChunked ? CHUNKED_TEXT_MARKER : textLength, 4);
+    textBuffer.copy(buf2, 6, 0, textLength);
     buf2.writeUint16BE(65535, 6 + textLength);
   }
 
+  // streams the text in pieces of TEXT_CHUNK_SIZE bytes, flagging the last one so the browser knows when
+  // the text is complete
+  _streamTextChunks(textBuffer) {
+    for (let offset = 0; offset < textBuffer.length; offset += TEXT_CHUNK_SIZE) {
+      let chunk = textBuffer.subarray(offset, offset + TEXT_CHUNK_SIZE);
+      let buf = this._allocCommandBuffer(1 + 1 + 2 + chunk.length);
+
+      buf.writeUint8(CMD_TEXT_CHUNK, 0);
+      buf.writeUint8(offset + TEXT_CHUNK_SIZE >= textBuffer.length ? 1 : 0, 1);
+      buf.writeUint16BE(chunk.length, 2);
+      chunk.copy(buf, 4);
+    }
+  }
+
   _streamAttachBlockCommand(parentBlockId, anchorIndex, blockId) {
     let buf2 = this._allocCommandBuffer(1 + 2 + 1 + 2 + 2);
 
@@ -849,16 +1426,29 @@ export class Window {
     let length = 1 + 2 + 1 + 2;
     let count = nodeResultsArray.length;
 
+    // inlined texts of the list, null for the ones streamed as chunks
+    let textBuffers = [];
+
     //console.log('_streamAttachListCommand', blockId, anchorIndex, count, nodeResultsArray);
 
-    // TODO: handle text in the results array
     for (let i = 0; i < count; i++) {
       let val = nodeResultsArray[i];
 
-      if (val.type == 'block') {
+      if (val && val.type == 'block') {
         length += 2;
       } else {
-        length += (2 + val.length);
+        let textBuffer = Buffer.from(typeof val == 'number' ? val.toString() : (val || ''), "utf-8");
+
+        // besides long texts, also chunk the ones that would make the command itself too long
+        if (textBuffer.length > TEXT_CHUNK_SIZE || length + textBuffer.length > TEXT_CHUNK_SIZE * 2) {
+          this._streamTextChunks(textBuffer);
+          textBuffer = null;
+          length += 2;
+        } else {
+          length += (2 + textBuffer.length);
+        }
+
+        textBuffers[i] = textBuffer;
       }
     };
 
@@ -872,18 +1462,21 @@ export class Window {
 
     let offset = 4;
 
-    // TODO: handle text in the results array
     for (let i = 0; i < count; i++) {
       let val = nodeResultsArray[i];
+      let textBuffer = textBuffers[i];
 
-      if (val.type == 'block') {
+      if (val && val.type == 'block') {
         let childBlockId = val.id;
         buf2.writeUint16BE(childBlockId |= (1 << 15), offset);
         offset += 2;
+      } else if (textBuffer) {
+        buf2.writeUint16BE(textBuffer.length, offset);
+        textBuffer.copy(buf2, offset + 2);
+        offset += (2 + textBuffer.length);
       } else {
-        buf2.writeUint16BE(val.length, offset);
-        buf2.write(val, offset + 2, val.length);
-        offset += (2 + val.length);
+        buf2.writeUint16BE(CHUNKED_TEXT_MARKER, offset);
+        offset += 2;
       }
     }
 
@@ -932,11 +1525,8 @@ export class Window {
       } else if (eventHandler.fn instanceof Function) {
         // if the event handler is not yet a client function, 
         // assign a built-in client function id of 1, 
-        // which is a function that calls the server function without any argument.
-        //
-        // TODO: this is perfect for event types like "click",
-        // but not for event types like "change" which requires an argument.
-        // assign a different built-in client function id for event types that naturally require an argument?
+        // which calls the server function with the event's default payload
+        // (i.e. the value of an input, or the key of a keydown).
         clientFnId = 1;
         serverBindFns = [eventHandler.fn];
       } else if (eventHandler.fn.clientFnId) {
@@ -951,7 +1541,7 @@ export class Window {
       });
 
       this._streamFunctionInstallCommand(clientFnId);
-      this._streamEventInitCommandV2(newBlockId, eventHandler.targetId, eventHandler.type, clientFnId, serverBindIds);
+      this._streamEventInitCommandV2(newBlockId, eventHandler.targetId, eventHandler.type, clientFnId, eventHandler.fn.modifiers, serverBindIds);
     });
 
     onCleanup(() => {
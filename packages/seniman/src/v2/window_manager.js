@@ -1,8 +1,12 @@
 import process from 'node:process';
-import { FastRateLimit } from 'fast-ratelimit';
 import { nanoid } from 'nanoid';
 
 import { Window } from './window.js';
+import { VirtualDocument } from './virtual_document.js';
+import { FileHibernationStore } from './hibernation.js';
+import { RateLimiter } from './rate_limiter.js';
+import { SessionManager } from './session.js';
+import { verifyPageToken, getPageBindingId } from './page_token.js';
 
 // get ram limit from env var
 const RSS_LOW_MEMORY_THRESHOLD = process.env.RSS_LOW_MEMORY_THRESHOLD ? parseInt(process.env.RSS_LOW_MEMORY_THRESHOLD) : 0;
@@ -39,12 +43,67 @@ class ExternalPromise {
 }
 
 let PONG_COMMAND = 0;
+let UPLOAD_CHUNK_COMMAND = 6;
+
+// default amount of work a window gets to do per scheduling slice before yielding to other windows
+let DEFAULT_WORK_BUDGET = { time: 10, bytes: 32768 };
+
+function recordLatency(stats, latency) {
+  stats.count++;
+  stats.total += latency;
+  stats.last = latency;
+  stats.max = Math.max(stats.max, latency);
+}
+
+function summarizeLatency(stats) {
+  return {
+    last: stats.last,
+    avg: stats.count ? stats.total / stats.count : 0,
+    max: stats.max
+  };
+}
+
+// how long a hibernated window can be rehydrated after its hibernation by default
+let DEFAULT_HIBERNATION_TTL = 60 * 60 * 1000;
+
+// when running under seniman/cluster, window ids are prefixed with the owning worker's index (in base 36),
+// so the primary process can route a window's connections back to the worker holding it.
+const WINDOW_ID_PREFIX = process.env.SENIMAN_WORKER_INDEX ? parseInt(process.env.SENIMAN_WORKER_INDEX).toString(36) : '';
+
+// viewport size assumed when rendering a page on the server, before the browser reports the real one
+let DEFAULT_SSR_VIEWPORT_SIZE = [1280, 720];
+
+// how long a page token can be used to create a new window after the page has been served
+let DEFAULT_PAGE_TOKEN_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// port of server-rendered windows that the browser hasn't connected to yet
+let noopPort = {
+  send: () => { },
+  close: () => { }
+};
 
 class WindowManager {
 
   constructor() {
     this.windowMap = new Map();
 
+    // windows whose snapshots are still being saved
+    this.hibernatingWindows = new Map();
+    this.hibernation = null;
+
+    this.rateLimiter = null;
+    this.sessionManager = null;
+    this.authenticate = null;
+
+    this.dev = false;
+
+    this.secret = null;
+    this.upgradePath = '/';
+    this.allowedOrigins = null;
+
+    // input messages held back by the rate limiter's `delay` action, per window id
+    this.delayedInputs = new Map();
+
     this._runWindowsLifecycleManagement();
 
     this.loopAwaiting = true;
@@ -53,6 +112,8 @@ class WindowManager {
     this.pendingWorkWindowList = [];
     this.pendingInputWindowList = [];
 
+    this.workBudget = DEFAULT_WORK_BUDGET;
+
     this._runLoop();
   }
 
@@ -63,14 +124,24 @@ class WindowManager {
   async _runLoop() {
     await this.loopWaitPromise;
 
+    let lastYieldTime = performance.now();
+
     while (true) {
+      // give the event loop a chance to receive new input (and other I/O) between slices of work
+      if (performance.now() - lastYieldTime >= this.workBudget.time) {
+        await new Promise(resolve => setImmediate(resolve));
+        lastYieldTime = performance.now();
+      }
+
       // prioritize windows that need input, and allocate (maybe a small) amount of work to them rightaway
       // so the user at least can see some updates quickly
       let allocWindow = this._getNextWindowPendingInputAllocation();
 
       if (allocWindow) {
+        recordLatency(allocWindow.metrics.inputLatency, performance.now() - allocWindow.inputRequestTime);
+
         allocWindow.scheduleInput();
-        allocWindow.scheduleWork();
+        allocWindow.scheduleWork(this.workBudget);
         continue;
       }
 
@@ -78,8 +149,9 @@ class WindowManager {
       allocWindow = this._getNextWindowPendingWorkAllocation();
 
       if (allocWindow) {
-        // TODO: pass amount of allowed work to do in this window
-        allocWindow.scheduleWork();
+        recordLatency(allocWindow.metrics.workLatency, performance.now() - allocWindow.workRequestTime);
+
+        allocWindow.scheduleWork(this.workBudget);
         continue;
       }
 
@@ -87,6 +159,8 @@ class WindowManager {
       this.loopAwaiting = true;
       this.loopWaitPromise = new ExternalPromise();
       await this.loopWaitPromise;
+
+      lastYieldTime = performance.now();
     }
   }
 
@@ -107,13 +181,13 @@ class WindowManager {
       return null;
     }
 
+    nextWindow.isPending = false;
+
     return nextWindow;
   }
 
   _enqueueMessage(window, message) {
 
-    // TODO: rate limit
-
     let buffer = Buffer.from(message);
 
     if (buffer.readUint8(0) == PONG_COMMAND) {
@@ -121,11 +195,95 @@ class WindowManager {
       return;
     }
 
+    // upload chunks aren't user input, and are only limited by their upload's size limit. they still wait
+    // behind any delayed input though, so they don't overtake the event that started their upload. chunks of
+    // uploads the window doesn't know about are only counted once they're processed (see
+    // Window._receiveUploadChunk), since their upload's start event might be just ahead of them in the queue.
+    if (buffer.readUint8(0) == UPLOAD_CHUNK_COMMAND) {
+      let delayedInput = this.delayedInputs.get(window.id);
+
+      if (delayedInput) {
+        delayedInput.messages.push(message);
+      } else {
+        this._pushInputMessage(window, message);
+      }
+
+      return;
+    }
+
+    if (this.rateLimiter && !this._consumeInput(window, message)) {
+      return;
+    }
+
+    this._pushInputMessage(window, message);
+  }
+
+  // chunks of unknown uploads are processed like the rest of the upload's chunks, but are dropped once they
+  // exceed the window's input limit. there's no violation to report: chunks of an aborted upload can still
+  // legitimately be on their way.
+  _consumeOrphanUploadChunk(window) {
+    return !this.rateLimiter || this.rateLimiter.consumeInput(window);
+  }
+
+  _isUploadChunk(message) {
+    return Buffer.from(message).readUint8(0) == UPLOAD_CHUNK_COMMAND;
+  }
+
+  // returns false if the message is over the window's input rate limit, after applying the configured action
+  _consumeInput(window, message) {
+    let rateLimiter = this.rateLimiter;
+    let delayedInput = this.delayedInputs.get(window.id);
+
+    // keep the messages in order: while some are being delayed, the new ones need to wait behind them
+    if (!delayedInput && rateLimiter.consumeInput(window)) {
+      return true;
+    }
+
+    let action = rateLimiter.action;
+
+    if (action == 'delay') {
+      if (!delayedInput) {
+        delayedInput = { messages: [], timeout: null };
+        this.delayedInputs.set(window.id, delayedInput);
+        this._scheduleDelayedInput(window, delayedInput);
+      }
+
+      // don't let a flooding client grow the queue indefinitely
+      if (delayedInput.messages.length >= rateLimiter.maxDelayedInputCount) {
+        action = 'drop';
+      } else {
+        delayedInput.messages.push(message);
+      }
+    } else if (action == 'disconnect') {
+      window.port.close(3002);
+    }
+
+    rateLimiter.reportInputViolation(window, action);
+
+    return false;
+  }
+
+  _scheduleDelayedInput(window, delayedInput) {
+    delayedInput.timeout = setTimeout(() => {
+      while (delayedInput.messages.length && (this._isUploadChunk(delayedInput.messages[0]) || this.rateLimiter.consumeInput(window))) {
+        this._pushInputMessage(window, delayedInput.messages.shift());
+      }
+
+      if (delayedInput.messages.length) {
+        this._scheduleDelayedInput(window, delayedInput);
+      } else {
+        this.delayedInputs.delete(window.id);
+      }
+    }, this.rateLimiter.inputDelay);
+  }
+
+  _pushInputMessage(window, message) {
     window.enqueueInputMessage(message);
 
     if (!window.hasPendingInput) {
       this.pendingInputWindowList.push(window);
       window.hasPendingInput = true;
+      window.inputRequestTime = performance.now();
     }
 
     if (this.loopAwaiting) {
@@ -136,14 +294,13 @@ class WindowManager {
 
   requestExecution(window) {
 
-    this.pendingWorkWindowList.push(window);
-
-    /*
+    // a window re-queueing itself after using up its work budget might already be in the list
+    // if it was scheduled through the input path
     if (!window.isPending) {
-      this.pendingWindowList.push(window);
+      this.pendingWorkWindowList.push(window);
       window.isPending = true;
+      window.workRequestTime = performance.now();
     }
-    */
 
     if (this.loopAwaiting) {
       this.loopAwaiting = false;
@@ -176,7 +333,12 @@ class WindowManager {
           let destroyTimeout = 60000;
 
           if (isLowMemory || pongDiff >= destroyTimeout) {
-            window.destroy();
+            if (this.hibernation && window.hasConnected) {
+              this.hibernateWindow(window);
+            } else {
+              window.destroy();
+            }
+
             continue;
           }
         }
@@ -187,9 +349,101 @@ class WindowManager {
         window.flushBlockDeleteQueue();
       }
     }, 2500);
+
+    // the lifecycle loop shouldn't be the one keeping the process alive --
+    // i.e. when windows are rendered headlessly through seniman/testing.
+    this.pingInterval.unref();
+  }
+
+  // loads the request's session and runs the `authenticate` hook.
+  // returns { session } (with a null session when sessions aren't enabled), or null if the request is rejected.
+  async authenticateRequest(req) {
+    let session = this.sessionManager ? await this.sessionManager.load(req) : null;
+
+    if (this.authenticate && !(await this.authenticate(req, session))) {
+      return null;
+    }
+
+    return { session };
+  }
+
+  // returns the HTTP status line to reject the WebSocket upgrade request with, or null if it can go through
+  _checkUpgradeRequest(req) {
+    let [path, queryString] = req.url.split('?');
+
+    if (path != this.upgradePath) {
+      return '404 Not Found';
+    }
+
+    if (!this._isAllowedOrigin(req)) {
+      return '403 Forbidden';
+    }
+
+    if (this.secret) {
+      let params = new URLSearchParams(queryString);
+
+      // reconnections to existing windows only need a genuine token, while new windows need a recent one
+      let maxAge = params.get('wi') ? 0 : this.pageTokenMaxAge;
+
+      if (!verifyPageToken(this.secret, params.get('pt'), getPageBindingId(req), maxAge)) {
+        return '403 Forbidden';
+      }
+    }
+
+    return null;
+  }
+
+  // without `allowedOrigins`, browsers can only connect from pages of the same host the connection is made to.
+  // requests without an Origin header don't come from a browser page.
+  _isAllowedOrigin(req) {
+    let origin = req.headers.origin;
+
+    if (this.allowedOrigins) {
+      return this.allowedOrigins.includes(origin);
+    }
+
+    if (!origin) {
+      return true;
+    }
+
+    try {
+      return new URL(origin).host == req.headers.host;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // checks and authenticates the WebSocket upgrade request before accepting the connection, so no window gets
+  // created for rejected requests.
+  async handleUpgrade(wss, req, socket, head) {
+    let rejection = this._checkUpgradeRequest(req);
+
+    if (rejection) {
+      socket.end(`HTTP/1.1 ${rejection}\r\nConnection: close\r\n\r\n`);
+      return;
+    }
+
+    let auth = null;
+
+    try {
+      auth = await this.authenticateRequest(req);
+    } catch (e) {
+      console.error('Failed to authenticate connection', e);
+      socket.end('HTTP/1.1 500 Internal Server Error\r\nConnection: close\r\n\r\n');
+      return;
+    }
+
+    if (!auth) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+      this.applyNewConnection(ws, req, auth.session);
+    });
   }
 
-  applyNewConnection(ws, req) {
+  applyNewConnection(ws, req, session) {
 
     let params = new URLSearchParams(req.url.split('?')[1]);
 
@@ -199,9 +453,8 @@ class WindowManager {
     let viewportSize = params.get('vs').split('x').map((num) => parseInt(num));
     let currentPath = params.get('lo');
 
-    // TODO: get ip address of request and do rate limiting based on ip address
-    // let ipAddress = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
     let cookieString = req.headers.cookie || '';
+    let ip = this._getClientIp(req);
 
     let pageParams = {
       windowId,
@@ -209,43 +462,190 @@ class WindowManager {
       viewportSize,
       readOffset,
       cookieString,
+      ip,
+      session
     };
 
     if (windowId) {
       if (this.hasWindow(windowId)) {
         this.reconnectWindow(ws, pageParams);
+      } else if (this.hibernation) {
+        // loading a snapshot costs about as much as creating a window
+        if (this.rateLimiter && !this.rateLimiter.consumeWindowCreation(ip)) {
+          ws.close(3002);
+          return;
+        }
+
+        // i.e. a corrupt snapshot: the browser reloads the page instead
+        this.rehydrateWindow(ws, pageParams).catch(e => {
+          console.error('Failed to rehydrate window', windowId, e);
+          ws.close(3001);
+        });
+      } else if (this.dev) {
+        // the dev server has restarted since the window was created: render the browser's current path
+        // into a new window under the same id, rather than having the browser reload the page
+        console.log('recreating window', windowId);
+        this.initWindow(ws, pageParams);
       } else {
         ws.close(3001);
         return;
       }
     } else {
-      let newWindowId = nanoid();
-      pageParams.windowId = newWindowId;
+      if (this.rateLimiter && !this.rateLimiter.consumeWindowCreation(ip)) {
+        ws.close(3002);
+        return;
+      }
+
+      pageParams.windowId = this.createWindowId();
       this.initWindow(ws, pageParams);
     }
   }
 
+  _getClientIp(req) {
+    return this.rateLimiter ? this.rateLimiter.getClientIp(req) : req.socket.remoteAddress;
+  }
+
+  // window ids are always 21 characters long
+  createWindowId() {
+    return WINDOW_ID_PREFIX + nanoid(21 - WINDOW_ID_PREFIX.length);
+  }
+
   initWindow(ws, pageParams) {
+    let window = this._createWindow(ws, pageParams);
+
+    this._setupWs(ws, window);
+  }
+
+  // renders the first frame of a window into a virtual document for server-side rendering. the window only
+  // lives for the render -- once the page has loaded, the browser connects to a new window like any other page,
+  // and adopts the server-rendered DOM when that window has streamed its own first frame.
+  // returns null if the client is over its window creation rate limit.
+  prerenderDocument(req, session) {
+    let ip = this._getClientIp(req);
+
+    if (this.rateLimiter && !this.rateLimiter.consumeWindowCreation(ip)) {
+      return null;
+    }
+
+    let document = new VirtualDocument({ path: req.url });
+
+    let pageParams = {
+      windowId: this.createWindowId(),
+      currentPath: req.url,
+      viewportSize: this.getSSRViewportSize(),
+      readOffset: 0,
+      cookieString: req.headers.cookie || '',
+      ip,
+      session
+    };
+
+    let port = {
+      send: (buffer) => document.apply(buffer),
+      close: () => { }
+    };
+
+    let window = new Window(port, pageParams, { Head: this.Head, Body: this.Body, ErrorFallback: this.ErrorFallback });
+
+    window.onDestroy(() => { });
+
+    try {
+      // run the initial render synchronously instead of waiting for the run loop
+      window.scheduleWork();
+    } finally {
+      // work the render has left behind (i.e. state set by async effects) has nowhere to go
+      window.port = noopPort;
+      window.destroy();
+    }
+
+    return document;
+  }
+
+  // the viewport size assumed for server-side rendering, which the browser also connects with when it hydrates the page
+  getSSRViewportSize() {
+    return this.ssrOptions.viewportSize || DEFAULT_SSR_VIEWPORT_SIZE;
+  }
+
+  _createWindow(port, pageParams) {
     let { windowId } = pageParams;
 
     console.log('init window', windowId, getMemoryUsage());
 
-    // TODO: pass request's ip address here, and rate limit window creation based on ip address
-    let window = new Window(ws, pageParams, { Head: this.Head, Body: this.Body });
+    let window = new Window(port, pageParams, { Head: this.Head, Body: this.Body, ErrorFallback: this.ErrorFallback });
 
     this.windowMap.set(windowId, window);
 
-    this._setupWs(ws, window);
-
     window.onDestroy(() => {
       console.log('destroyed', windowId, getMemoryUsage());
 
       this.windowMap.delete(windowId);
 
+      let delayedInput = this.delayedInputs.get(windowId);
+
+      if (delayedInput) {
+        clearTimeout(delayedInput.timeout);
+        this.delayedInputs.delete(windowId);
+      }
+
       if (this.windowDestroyCallback) {
         this.windowDestroyCallback(windowId);
       }
     });
+
+    return window;
+  }
+
+  // saves the window's snapshot to the hibernation store and destroys it,
+  // freeing its memory until the browser reconnects with its window id
+  hibernateWindow(window) {
+    let windowId = window.id;
+    let snapshot = window.getSnapshot();
+
+    console.log('hibernating window', windowId);
+
+    window.destroy();
+
+    let promise = this.hibernation.store.save(windowId, snapshot)
+      .catch(e => console.error('Failed to hibernate window', windowId, e))
+      .finally(() => this.hibernatingWindows.delete(windowId));
+
+    this.hibernatingWindows.set(windowId, promise);
+  }
+
+  // creates a new window under the same id from its hibernation snapshot. the browser runtime
+  // starts over from the new window's CMD_INIT_WINDOW, so no reload is needed.
+  async rehydrateWindow(ws, pageParams) {
+    let { windowId } = pageParams;
+    let { store, ttl } = this.hibernation;
+    let snapshot = null;
+
+    try {
+      // the snapshot might still be in the middle of being saved
+      await this.hibernatingWindows.get(windowId);
+      snapshot = await store.load(windowId);
+    } catch (e) {
+      console.error('Failed to load hibernated window', windowId, e);
+    }
+
+    if (!snapshot || Date.now() - snapshot.hibernatedAt > ttl) {
+      ws.close(3001);
+      return;
+    }
+
+    // the browser has given up on this connection while the snapshot was loading; keep the snapshot for the next one
+    if (ws.readyState != ws.OPEN) {
+      return;
+    }
+
+    store.delete(windowId).catch(e => console.error('Failed to delete hibernated window', windowId, e));
+
+    console.log('rehydrating window', windowId);
+
+    this.initWindow(ws, {
+      ...pageParams,
+      currentPath: snapshot.path,
+      cookieString: snapshot.cookieString,
+      snapshot
+    });
   }
 
   reconnectWindow(ws, pageParams) {
@@ -266,6 +666,28 @@ class WindowManager {
     });
   }
 
+  // returns the run loop's queue sizes, and each window's scheduling latencies in milliseconds --
+  // from when the window's work (or input) is queued to when the run loop gets to it.
+  getMetrics() {
+    let windows = [];
+
+    for (let window of this.windowMap.values()) {
+      windows.push({
+        id: window.id,
+        connected: window.connected,
+        hasPendingWork: window.hasPendingWork,
+        workLatency: summarizeLatency(window.metrics.workLatency),
+        inputLatency: summarizeLatency(window.metrics.inputLatency)
+      });
+    }
+
+    return {
+      pendingWorkWindowCount: this.pendingWorkWindowList.length,
+      pendingInputWindowCount: this.pendingInputWindowList.length,
+      windows
+    };
+  }
+
   onWindowDestroy(callback) {
     this.windowDestroyCallback = callback;
   }
@@ -285,6 +707,93 @@ class WindowManager {
   registerEntrypoint(options) {
     this.Head = options.Head || EmptyHead;
     this.Body = options.Body;
+
+    // shown in place of the Body after an unhandled error in production, with the `error` and a `reset` function
+    // to render the Body again
+    this.ErrorFallback = options.ErrorFallback || null;
+
+    // called with every unhandled error of a window, i.e. to ship it to an error tracker:
+    // `onUnhandledError: (err, { windowId, path }) => { ... }`
+    this.onUnhandledError = options.onUnhandledError || null;
+
+    // set when running under `seniman dev`, or with `dev: true` -- windows then show the app's syntax errors, and
+    // are recreated when the app restarts
+    this.dev = options.dev || process.env.SENIMAN_DEV == '1';
+
+    if (this.dev) {
+      this._setupDevShutdown();
+    }
+
+    // server-side rendering is opt-in: `ssr: true`, or `ssr: { viewportSize: [width, height] }`
+    // to set the viewport size assumed for the initial render
+    this.ssr = !!options.ssr;
+
+    // amount of work a window can do per scheduling slice: `workBudget: { time: milliseconds, bytes }`
+    this.workBudget = { ...DEFAULT_WORK_BUDGET, ...options.workBudget };
+    this.ssrOptions = typeof options.ssr == 'object' ? options.ssr : {};
+
+    if (options.rateLimit) {
+      this.rateLimiter = new RateLimiter(options.rateLimit);
+    }
+
+    // signs session cookies and page tokens. when set, connections need to present the token of a page served
+    // by this app.
+    this.secret = options.secret || null;
+    this.pageTokenMaxAge = options.pageTokenMaxAge || DEFAULT_PAGE_TOKEN_MAX_AGE;
+
+    // WebSocket connections are only accepted on this path
+    this.upgradePath = options.upgradePath || '/';
+
+    // origins allowed to open connections, i.e. `allowedOrigins: ['https://example.com']` -- by default, only the
+    // origin of the host the connection is made to (which needs to be set when a proxy rewrites the Host header)
+    this.allowedOrigins = options.allowedOrigins || null;
+
+    // signed cookie sessions, available to components through useSession():
+    // `session: true`, or `session: { store, cookieName, maxAge }`, along with a `secret`
+    if (options.session) {
+      this.sessionManager = new SessionManager(options.session, options.secret);
+    }
+
+    // called with the request and its session (if sessions are enabled) before a connection is accepted or a
+    // page is server-rendered. resolve to a falsy value to reject the request.
+    this.authenticate = options.authenticate || null;
+
+    // instead of destroying disconnected windows, save their persisted states so they can be rebuilt
+    // on reconnection: `hibernation: true`, or `hibernation: { store, ttl }`
+    if (options.hibernation) {
+      this._setupHibernation(options.hibernation);
+    }
+  }
+
+  // the dev server restarts the app with SIGTERM on every change. close the connections with 1012 (Service Restart)
+  // so the browsers start reconnecting right away.
+  _setupDevShutdown() {
+    process.once('SIGTERM', () => {
+      for (let window of this.windowMap.values()) {
+        window.port.close(1012);
+      }
+
+      // give the close frames a moment to go out
+      setTimeout(() => process.exit(0), 100);
+    });
+  }
+
+  _setupHibernation(hibernationOptions) {
+    if (hibernationOptions === true) {
+      hibernationOptions = {};
+    }
+
+    let store = hibernationOptions.store || new FileHibernationStore();
+    let ttl = hibernationOptions.ttl || DEFAULT_HIBERNATION_TTL;
+
+    this.hibernation = { store, ttl };
+
+    if (store.prune) {
+      let prune = () => store.prune(ttl).catch(e => console.error('Failed to prune hibernated windows', e));
+
+      prune();
+      setInterval(prune, ttl).unref();
+    }
   }
 }
 